@@ -1,54 +1,756 @@
 // Background script for handling screenshot capture and processing
 
+importScripts('settings.js', 'filename-template.js', 'capture-jobs.js', 'schedule-store.js', 'history-store.js', 'debugger-capture.js');
+
+// Extension page that hosts the canvas used for stitching and encoding
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// Keyboard shortcuts from the manifest and the capture mode each one starts
+const COMMAND_MODES = {
+    'capture-full-page': 'full-page',
+    'capture-visible-area': 'visible-area',
+    'capture-region': 'region'
+};
+
+// Largest capture copied to the clipboard; bigger ones are downloaded instead
+const CLIPBOARD_MAX_PIXELS = 40000000;
+
+// Iframes expanded by the captureFrames option: at least this visible area in CSS
+// pixels, with at least this much content below their box
+const FRAME_MIN_AREA = 200 * 150;
+const FRAME_MIN_OVERFLOW = 50;
+
+// Tallest an expanded iframe gets when the capture height is not limited
+const FRAME_MAX_HEIGHT = 30000;
+
+// Time for the page to lay out again around expanded iframes
+const FRAME_LAYOUT_DELAY = 500;
+
+// Time an extension page gets to fetch an output file before its blob URL is released
+const OUTPUT_RELEASE_DELAY = 60000;
+
+// A scheduled run that finds another capture in progress tries again after this long
+const SCHEDULE_RETRY_MINUTES = 1;
+
+// Time for a background tab to paint after it is activated for a screenshot
+const TAB_ACTIVATION_DELAY = 200;
+
 class ScreenshotCapture {
     constructor() {
         this.isCapturing = false;
+        this.creatingOffscreenDocument = null;
+        this.windowId = null;
+        // Background tab that is activated only while a screenshot is taken
+        this.activateTabId = null;
+        // Scheduled runs waiting for the one in progress
+        this.scheduledRuns = Promise.resolve();
     }
 
-    async captureScreenshot(tabId, options, fullPage = true) {
+    // `region` limits a full-page capture to a rectangle in page coordinates.
+    // `resumeJob` is a failed capture job whose kept segments are reused.
+    async captureScreenshot(tabId, options, fullPage = true, region = null, resumeJob = null) {
         if (this.isCapturing) {
             throw new Error('Screenshot capture already in progress');
         }
 
-        this.isCapturing = true;
-        
+        let job = null;
+
         try {
-            // Step 1: Prepare the page
-            await this.preparePage(tabId, options);
+            // Set inside the try, so the finally block also unlocks after a failed start
+            this.isCapturing = true;
+
+            if (!resumeJob) {
+                await this.discardResumableJob();
+            }
+
+            // The popup's clipboard flag is not stored, a resumed job may run without it.
+            // Batch captures choose the job ID so they can cancel their own capture.
+            const { copyInPopup, jobId, activateForCapture, ...jobOptions } = options;
+            job = captureJobs.start({
+                ...(jobId ? { id: jobId } : {}),
+                tabId: tabId,
+                fullPage: fullPage,
+                region: region,
+                options: jobOptions,
+                notify: options.notify
+            }, resumeJob);
+            const stitchJobId = job.stitchJobId;
+
+            // captureVisibleTab needs the window of the captured tab, which is not
+            // necessarily the focused one (batch captures, shortcuts)
+            const tab = await chrome.tabs.get(tabId);
+            this.windowId = tab.windowId;
+            this.activateTabId = activateForCapture ? tabId : null;
+            captureJobs.update({ url: tab.url, title: tab.title });
+
+            // Page the capture came from, recorded in the history with the saved files
+            options = { ...options, captureSource: { url: tab.url, title: tab.title } };
+
+            // Step 1: Prepare the page. Pre-scrolling ends at the top of the page, so it
+            // would move a visible-area capture away from what the user is looking at.
+            const preparation = await this.preparePage(tabId, { ...options, preScroll: options.preScroll && fullPage && !region });
+            captureJobs.throwIfCancelled();
+            const redactedCount = (preparation && preparation.redactedCount) || 0;
+            if (redactedCount > 0) {
+                this.updateStatus(`Redacted ${redactedCount} sensitive region${redactedCount === 1 ? '' : 's'}`, 'info');
+            }
+
+            // Hidden scrollbars and fixed elements can reflow the page, so the picked
+            // region is measured again on the prepared page
+            if (region) {
+                region = await this.measurePickedRegion(tabId) || region;
+                captureJobs.update({ region: region });
+            }
+
+            // Regions are measured before the capture starts, so the layout must not move
+            if (fullPage && !region && options.captureFrames) {
+                await this.expandFrames(tabId, options);
+                captureJobs.throwIfCancelled();
+            }
+
+            await this.ensureOffscreenDocument();
             
+            let result;
+            let warning = null;
             if (fullPage) {
-                // Step 2: Capture full page in segments
-                const images = await this.captureFullPage(tabId, options);
-                
-                // Step 3: Combine images and create output
-                const result = await this.processImages(images, options);
+                // Step 2: Capture full page in segments, streaming them to the stitcher
+                const images = options.engine === 'debugger'
+                    ? await this.withCaptureTabActive(() => this.captureFullPageWithDebugger(tabId, options, stitchJobId, region, job.segments))
+                    : await this.captureFullPage(tabId, options, stitchJobId, region, job.segments);
                 
-                return result;
+                // Step 3: Combine images and create output. The page is given back
+                // before encoding, which can take a while for long pages.
+                await this.restorePage(tabId);
+                captureJobs.update({ phase: 'saving' });
+                warning = [job.truncationWarning, await this.checkSeams(stitchJobId)].filter(Boolean).join('. ') || null;
+                result = await this.processImages(stitchJobId, options, images);
             } else {
                 // Step 2: Capture visible area only
                 const image = await this.captureVisibleArea(tabId, options);
                 
                 // Step 3: Process single image
-                const result = await this.processSingleImage(image, options);
-                
-                return result;
+                await this.restorePage(tabId);
+                captureJobs.update({ phase: 'saving' });
+                result = await this.processSingleImage(image, options, stitchJobId);
+            }
+
+            captureJobs.finish('done', { filename: result.filename, clipboard: Boolean(result.clipboard), warning: warning });
+            return { ...result, jobId: job.id, redactedCount, warning };
+        } catch (error) {
+            if (!job) {
+                throw error;
+            }
+
+            // Segments captured before a failure are kept so the capture can be resumed
+            const cancelled = job.cancelRequested;
+            const resumable = !cancelled && fullPage && job.phase === 'capturing' && job.segments.length > 0;
+            if (!resumable) {
+                this.discardStitch(job.stitchJobId);
+            }
+
+            captureJobs.finish(cancelled ? 'cancelled' : 'failed', { error: error.message, resumable: resumable });
+            throw error;
+        } finally {
+            // Also after errors and cancellation; a no-op when already restored
+            await this.restorePage(tabId);
+            this.windowId = null;
+            this.activateTabId = null;
+            this.isCapturing = false;
+        }
+    }
+
+    // Continue a failed full-page capture from its last captured segment
+    async resumeCapture(jobId, overrides = {}) {
+        const job = await captureJobs.getJob();
+        if (!job || job.id !== jobId || !job.resumable) {
+            throw new Error('This capture can no longer be resumed');
+        }
+
+        const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+        if (!tab || tab.url !== job.url) {
+            throw new Error('The captured tab was closed or has navigated away');
+        }
+
+        this.updateStatus(`Resuming capture after ${job.segments.length} segment(s)...`, 'info');
+        return await this.captureScreenshot(job.tabId, { ...job.options, ...overrides }, true, job.region, job);
+    }
+
+    // A failed capture that is not resumed no longer needs its segments
+    async discardResumableJob() {
+        const previous = await captureJobs.getJob();
+        if (previous && previous.resumable) {
+            this.discardStitch(previous.stitchJobId);
+            captureJobs.update({ resumable: false, segments: [] });
+        }
+    }
+
+    cancelCapture(jobId = null) {
+        if (!captureJobs.requestCancel(jobId)) {
+            throw new Error('No capture in progress');
+        }
+
+        // Segments check for cancellation themselves, but pre-scrolling a long page
+        // runs in the page and can take minutes
+        chrome.scripting.executeScript({
+            target: { tabId: captureJobs.job.tabId, allFrames: true },
+            function: () => window.screenshotHelper && window.screenshotHelper.cancelPreparation()
+        }).catch(error => {
+            console.warn('Failed to stop page preparation:', error);
+        });
+
+        return { success: true };
+    }
+
+    // Capture one batch entry: an existing tab, or a URL opened in a new background tab
+    // that is closed again afterwards. Files are saved without prompting.
+    // With `item.background`, the tab stays in the background and is activated only
+    // while screenshots are taken.
+    async captureBatchItem(item, options) {
+        const ownsTab = !item.tabId;
+        const tab = ownsTab
+            ? await chrome.tabs.create({ url: item.url, active: false, windowId: item.windowId })
+            : await chrome.tabs.get(item.tabId);
+
+        try {
+            await this.waitForTabLoad(tab.id);
+
+            // Only the active tab of a window is rendered, which both engines rely on
+            if (!item.background) {
+                await chrome.tabs.update(tab.id, { active: true });
+            }
+
+            // Let late scripts and web fonts settle after the load event
+            await new Promise(resolve => setTimeout(resolve, 1000));
+
+            return await this.captureScreenshot(tab.id, {
+                ...options,
+                jobId: item.jobId,
+                activateForCapture: Boolean(item.background),
+                openEditor: false,
+                outputTarget: 'download',
+                saveAs: false,
+                // The batch page and the scheduler report results themselves
+                notify: false
+            }, true);
+        } finally {
+            if (ownsTab) {
+                await chrome.tabs.remove(tab.id).catch(error => {
+                    console.warn('Failed to close batch tab:', error);
+                });
+            }
+        }
+    }
+
+    // Run a scheduled job. Runs are queued, so alarms firing together capture one
+    // after another instead of racing for the capturer.
+    runScheduledJob(jobId) {
+        const run = this.scheduledRuns.then(() => this.captureScheduledJob(jobId));
+        this.scheduledRuns = run.catch(() => {});
+        return run;
+    }
+
+    // Files go to a dated subfolder so recurring captures of the same page sort together
+    async captureScheduledJob(jobId) {
+        const job = await scheduleStore.getJob(jobId);
+        if (!job) {
+            throw new Error('Scheduled job not found');
+        }
+
+        let options;
+        try {
+            options = job.presetId ? await settingsStore.getPresetOptions(job.presetId) : await settingsStore.getOptions();
+        } catch (error) {
+            console.warn(`Preset of scheduled job "${job.name}" is missing, using the current settings:`, error);
+            options = await settingsStore.getOptions();
+        }
+
+        // A capture started by the user takes priority; the run is tried again a little
+        // later instead of holding up the queue
+        if (this.isCapturing) {
+            await chrome.alarms.create(scheduleStore.getRetryAlarmName(job), { delayInMinutes: SCHEDULE_RETRY_MINUTES });
+            return { success: false, error: `Another capture is in progress, trying again in ${SCHEDULE_RETRY_MINUTES} minute(s)` };
+        }
+
+        const now = new Date();
+        const date = [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+        let lastRun = null;
+        let captureWindow = null;
+
+        try {
+            // The page opens in a background tab of the window last used, so the tab the
+            // user is working in stays in front except while screenshots are taken.
+            // Minimized windows are not rendered; without a usable window the page gets
+            // a window of its own, opened without focus.
+            const lastWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+            let item;
+            if (lastWindow && lastWindow.state !== 'minimized') {
+                item = { url: job.url, windowId: lastWindow.id, background: true };
+            } else {
+                captureWindow = await chrome.windows.create({ url: job.url, focused: false });
+                item = { tabId: captureWindow.tabs[0].id };
+            }
+
+            const result = await this.captureBatchItem(item, {
+                ...options,
+                // Nobody is there to pick a container
+                scrollTarget: options.scrollTarget === 'pick' ? 'auto' : options.scrollTarget,
+                subfolder: `scheduled/${filenameTemplate.sanitizeSegment(job.name)}/${date}`
+            });
+
+            lastRun = { time: Date.now(), success: true, filename: result.filename };
+            return result;
+        } catch (error) {
+            lastRun = { time: Date.now(), success: false, error: error.message };
+            throw error;
+        } finally {
+            if (captureWindow) {
+                await chrome.windows.remove(captureWindow.id).catch(error => {
+                    console.warn('Failed to close scheduled capture window:', error);
+                });
+            }
+            await scheduleStore.updateJob(job.id, { lastRun }).catch(error => {
+                console.warn('Failed to record scheduled run:', error);
+            });
+        }
+    }
+
+    // Resolve once the tab has finished loading, or reject after `timeout` ms
+    waitForTabLoad(tabId, timeout = 30000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error('Timed out waiting for the page to load'));
+            }, timeout);
+
+            const onUpdated = (updatedTabId, changeInfo) => {
+                if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                    cleanup();
+                    resolve();
+                }
+            };
+
+            const cleanup = () => {
+                clearTimeout(timer);
+                chrome.tabs.onUpdated.removeListener(onUpdated);
+            };
+
+            chrome.tabs.onUpdated.addListener(onUpdated);
+
+            // The tab may have finished loading before the listener was added
+            chrome.tabs.get(tabId).then(tab => {
+                if (tab.status === 'complete') {
+                    cleanup();
+                    resolve();
+                }
+            }).catch(error => {
+                cleanup();
+                reject(error);
+            });
+        });
+    }
+
+    // Resolve once a download has completed or stopped
+    waitForDownload(downloadId) {
+        return new Promise(resolve => {
+            const onChanged = delta => {
+                if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+                    chrome.downloads.onChanged.removeListener(onChanged);
+                    resolve();
+                }
+            };
+
+            chrome.downloads.onChanged.addListener(onChanged);
+
+            // The download may have finished before the listener was added
+            chrome.downloads.search({ id: downloadId }).then(([item]) => {
+                if (!item || item.state !== 'in_progress') {
+                    chrome.downloads.onChanged.removeListener(onChanged);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Capture the page once per selected device width using DevTools emulation,
+    // saving one file per width. The tab's own size is restored afterwards.
+    async captureDeviceScreenshots(tabId, options) {
+        if (this.isCapturing) {
+            throw new Error('Screenshot capture already in progress');
+        }
+
+        const devices = (options.emulatedDevices || []).map(id => DEVICE_PRESETS[id]).filter(Boolean);
+        if (devices.length === 0) {
+            throw new Error('Select at least one device width');
+        }
+
+        const session = new DebuggerSession(tabId);
+        const files = [];
+        let redactedCount = 0;
+        let warning = null;
+        let job = null;
+
+        try {
+            // Set inside the try, so the finally block also unlocks after a failed start
+            this.isCapturing = true;
+
+            const tab = await chrome.tabs.get(tabId);
+            await this.discardResumableJob();
+            job = captureJobs.start({ tabId: tabId, url: tab.url, title: tab.title, fullPage: false, options: options });
+
+            await this.ensureOffscreenDocument();
+            await session.attach();
+
+            for (const device of devices) {
+                this.updateStatus(`Emulating ${device.label} (${device.width}px)...`, 'info');
+                await session.emulateDevice(device);
+
+                // Give responsive layouts a moment to settle at the new width
+                await new Promise(resolve => setTimeout(resolve, 1000));
+
+                const stitchJobId = `capture-${Date.now()}-${device.width}`;
+
+                try {
+                    const preparation = await this.preparePage(tabId, options);
+                    redactedCount += (preparation && preparation.redactedCount) || 0;
+                    captureJobs.throwIfCancelled();
+
+                    if (options.captureFrames) {
+                        await this.expandFrames(tabId, options);
+                        captureJobs.throwIfCancelled();
+                    }
+
+                    const images = await this.captureWithDebugger(session, tabId, options, stitchJobId);
+
+                    // Several files are saved in a row, so never prompt for each one
+                    // or open an editor tab per width
+                    const result = await this.finishOutput(stitchJobId, {
+                        ...options,
+                        openEditor: false,
+                        outputTarget: 'download',
+                        saveAs: false,
+                        captureSource: { url: tab.url, title: `${tab.title} (${device.width}px)` }
+                    }, images, `_${device.width}px`);
+                    files.push(...(result.files || []));
+                } catch (error) {
+                    this.discardStitch(stitchJobId);
+                    throw error;
+                } finally {
+                    await this.restorePage(tabId);
+                }
             }
+
+            warning = job.truncationWarning || null;
+            captureJobs.finish('done', { filename: files[0], warning: warning });
+        } catch (error) {
+            if (job) {
+                captureJobs.finish(job.cancelRequested ? 'cancelled' : 'failed', { error: error.message });
+            }
+            throw error;
         } finally {
+            if (session.attached) {
+                await session.clearEmulation().catch(error => {
+                    console.warn('Failed to clear device emulation:', error);
+                });
+            }
+            await session.detach();
             this.isCapturing = false;
         }
+
+        this.updateStatus(`Saved ${devices.length} device capture${devices.length === 1 ? '' : 's'}`, 'success');
+        return { success: true, filename: files[0], files, redactedCount, warning };
+    }
+
+    // Full-page capture with the DevTools protocol engine. Falls back to scrolling and
+    // stitching when the debugger cannot attach (DevTools already open, restricted pages).
+    async captureFullPageWithDebugger(tabId, options, stitchJobId, region = null, images = []) {
+        // The protocol renders the window's document; inner containers still need scrolling
+        if (!region && await this.getScrollTargetKind(tabId, options.scrollTarget) === 'element') {
+            console.log('Capturing an inner scroll container, using the scroll-and-stitch engine');
+            return await this.captureFullPage(tabId, options, stitchJobId, region, images);
+        }
+
+        const session = new DebuggerSession(tabId);
+
+        try {
+            await session.attach();
+        } catch (error) {
+            console.warn('Debugger could not attach, falling back to scroll-and-stitch:', error);
+            this.updateStatus('Debugger unavailable, capturing by scrolling instead', 'info');
+            return await this.captureFullPage(tabId, options, stitchJobId, region, images);
+        }
+
+        try {
+            return await this.captureWithDebugger(session, tabId, options, stitchJobId, region, images);
+        } finally {
+            await session.detach();
+        }
+    }
+
+    // Whether the page would be captured through the window or an inner container
+    async getScrollTargetKind(tabId, scrollTarget = 'auto') {
+        try {
+            const result = await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                function: (scrollTarget) => window.screenshotHelper ? window.screenshotHelper.selectScrollTarget(scrollTarget) : 'window',
+                args: [scrollTarget]
+            });
+            return result[0] ? result[0].result : 'window';
+        } catch (error) {
+            console.warn('Failed to detect the scroll target:', error);
+            return 'window';
+        }
+    }
+
+    // Capture the page through the DevTools protocol in clipped tiles. The browser
+    // renders beyond the viewport, so nothing is scrolled and fixed elements are
+    // drawn once at their position on the enlarged page. Tiles already in `images`,
+    // kept from a failed run, are skipped.
+    async captureWithDebugger(session, tabId, options, stitchJobId, region = null, images = []) {
+        const metrics = await session.getLayoutMetrics();
+        const area = this.getCaptureArea(region, metrics.width, metrics.height, options.maxCaptureHeight);
+        this.reportTruncation(region, area, metrics.height);
+        const scale = metrics.devicePixelRatio;
+
+        const tileSize = Math.max(1, Math.floor(DEBUGGER_MAX_TILE_PIXELS / scale));
+        const columns = Math.ceil(area.width / tileSize);
+        const rows = Math.ceil(area.height / tileSize);
+        const totalTiles = columns * rows;
+
+        console.log(`Debugger capture of ${area.width}x${area.height} at ${scale}x in ${totalTiles} tile(s)`);
+
+        await this.beginOrResumeStitch(stitchJobId, { ...area, scale: scale }, images);
+
+        // The whole page is laid out at once, so its text is collected in one go
+        if (this.wantsTextLayer(options)) {
+            await this.collectText(tabId, stitchJobId, false);
+        }
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                captureJobs.throwIfCancelled();
+
+                const x = area.x + column * tileSize;
+                const y = area.y + row * tileSize;
+
+                if (this.hasCapturedSegment(images, column, row, x, y)) {
+                    continue;
+                }
+
+                const clip = {
+                    x: x,
+                    y: y,
+                    width: Math.min(tileSize, area.x + area.width - x),
+                    height: Math.min(tileSize, area.y + area.height - y)
+                };
+
+                const screenshot = await session.captureClip(clip);
+
+                await this.sendToOffscreen('addSegment', {
+                    jobId: stitchJobId,
+                    segment: {
+                        dataUrl: screenshot,
+                        pageX: clip.x,
+                        pageY: clip.y,
+                        viewportWidth: clip.width,
+                        viewportHeight: clip.height
+                    }
+                });
+
+                images.push({
+                    x: column,
+                    y: row,
+                    pageX: clip.x,
+                    pageY: clip.y,
+                    width: clip.width,
+                    height: clip.height,
+                    timestamp: Date.now()
+                });
+
+                this.updateProgress(Math.round((images.length / totalTiles) * 80) + 20);
+                this.updateStatus(`Captured tile ${images.length}/${totalTiles}`, 'info');
+            }
+        }
+
+        return images;
+    }
+
+    // Create the offscreen document used for stitching if it is not already open
+    async ensureOffscreenDocument() {
+        const contexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT'],
+            documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+        });
+
+        if (contexts.length > 0) {
+            return;
+        }
+
+        // Several callers may race to create the document; share one creation
+        if (!this.creatingOffscreenDocument) {
+            this.creatingOffscreenDocument = chrome.offscreen.createDocument({
+                url: OFFSCREEN_DOCUMENT_PATH,
+                reasons: ['BLOBS', 'CLIPBOARD'],
+                justification: 'Stitch captured screenshot segments, encode the output file and copy it to the clipboard'
+            }).finally(() => {
+                this.creatingOffscreenDocument = null;
+            });
+        }
+
+        await this.creatingOffscreenDocument;
+    }
+
+    async sendToOffscreen(action, payload = {}) {
+        const response = await chrome.runtime.sendMessage({
+            target: 'offscreen',
+            action: action,
+            ...payload
+        });
+
+        if (!response) {
+            throw new Error(`Offscreen document did not respond to ${action}`);
+        }
+
+        if (!response.success) {
+            throw new Error(response.error || `Offscreen ${action} failed`);
+        }
+
+        return response;
+    }
+
+    discardStitch(stitchJobId) {
+        this.sendToOffscreen('discardStitch', { jobId: stitchJobId }).catch(error => {
+            console.warn('Failed to discard stitch job:', error);
+        });
+    }
+
+    // Start a capture without the popup, from a keyboard shortcut or context menu.
+    // Uses the options saved by the popup, which follow the selected preset.
+    async captureWithLastOptions(tab, mode) {
+        const options = await settingsStore.getOptions();
+
+        switch (mode) {
+            case 'full-page':
+                return await this.captureScreenshot(tab.id, options, true);
+
+            case 'visible-area':
+                return await this.captureScreenshot(tab.id, options, false);
+
+            case 'region':
+                return await this.startRegionPicker(tab.id, { ...options, pickMode: 'region' });
+
+            case 'image':
+            case 'selection': {
+                const region = await this.getContextRegion(tab.id, mode);
+                if (!region) {
+                    throw new Error(`Could not locate the ${mode} to capture`);
+                }
+                return await this.captureScreenshot(tab.id, options, true, region);
+            }
+
+            default:
+                throw new Error(`Unknown capture mode: ${mode}`);
+        }
+    }
+
+    async captureWithPreset(tab, presetId) {
+        const options = await settingsStore.getPresetOptions(presetId);
+        return await this.captureScreenshot(tab.id, options, true);
+    }
+
+    async getContextRegion(tabId, kind) {
+        const result = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            function: (kind) => window.screenshotHelper ? window.screenshotHelper.getContextRegion(kind) : null,
+            args: [kind]
+        });
+
+        return result[0] ? result[0].result : null;
+    }
+
+    // The region picked in the page, measured on the page as it is now. Null when the
+    // page no longer has what it was picked on.
+    async measurePickedRegion(tabId) {
+        try {
+            const result = await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                function: () => window.screenshotHelper ? window.screenshotHelper.measurePickedRegion() : null
+            });
+
+            return result[0] ? result[0].result : null;
+        } catch (error) {
+            console.warn('Failed to measure the picked region again:', error);
+            return null;
+        }
     }
 
+    // Let the user pick an element or drag a region in the page. The content script
+    // sends a `regionSelected` message with the selection and these options.
+    async startRegionPicker(tabId, options) {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            function: (options) => {
+                if (!window.screenshotHelper) {
+                    throw new Error('Page is not ready for region selection');
+                }
+                window.screenshotHelper.startRegionPicker(options);
+            },
+            args: [options]
+        });
+
+        return { success: true };
+    }
+
+    // With captureFrames, every frame is prepared too, so iframes are pre-scrolled and
+    // redacted like the page; with redactPii alone, iframes are only redacted. The
+    // result is the top frame's, with the redactions of all.
     async preparePage(tabId, options) {
+        const allFrames = Boolean(options.captureFrames || options.redactPii);
+
         try {
+            if (allFrames) {
+                await this.injectIntoFrames(tabId);
+            }
+
             // Inject content script to prepare the page
-            await chrome.scripting.executeScript({
-                target: { tabId: tabId },
+            const result = await chrome.scripting.executeScript({
+                target: { tabId: tabId, allFrames: allFrames },
                 function: this.preparePageContent,
                 args: [options]
             });
+
+            const main = result.find(frame => frame.frameId === 0);
+            const preparation = main && main.result ? main.result : null;
+            if (preparation && preparation.changes) {
+                console.log(`Prepared page with ${preparation.changes.length} change(s): ${preparation.changes.join(', ')}`);
+            }
+
+            if (preparation && result.length > 1) {
+                preparation.redactedCount = result.reduce((sum, frame) => sum + ((frame.result && frame.result.redactedCount) || 0), 0);
+            }
+
+            return preparation;
         } catch (error) {
             console.warn('Failed to prepare page, continuing without preparation:', error);
             // Continue without page preparation if it fails
+            return null;
+        }
+    }
+
+    // The manifest loads the content script into the top frame only, so ads and
+    // widgets are left alone. Captures that prepare iframes load it into the frames
+    // that do not have it yet, since running it twice would declare its classes again.
+    async injectIntoFrames(tabId) {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: tabId, allFrames: true },
+            function: () => Boolean(window.screenshotHelper)
+        });
+
+        const frameIds = results.filter(frame => !frame.result).map(frame => frame.frameId);
+        if (frameIds.length > 0) {
+            await chrome.scripting.executeScript({
+                target: { tabId: tabId, frameIds: frameIds },
+                files: ['content.js']
+            });
         }
     }
 
@@ -58,14 +760,87 @@ class ScreenshotCapture {
         return window.screenshotHelper ? window.screenshotHelper.prepareForScreenshot(options) : Promise.resolve();
     }
 
-    async captureFullPage(tabId, options) {
+    // Grow large iframes whose content scrolls to the full height of that content, so
+    // the page capture shows all of it in place. Large frames are found first, then
+    // each is asked through a frame-targeted script to have its parent document resize
+    // the iframe element; restorePage shrinks them again. Nested frames go first, so a
+    // frame is measured after the frames inside it have grown. Returns how many were
+    // expanded.
+    async expandFrames(tabId, options) {
+        let frames;
+        try {
+            const results = await chrome.scripting.executeScript({
+                target: { tabId: tabId, allFrames: true },
+                function: () => window.screenshotHelper ? window.screenshotHelper.getFrameMetrics() : null
+            });
+
+            // Overflow is checked by each frame when it is expanded
+            frames = results
+                .filter(({ frameId, result }) => frameId !== 0 && result && result.width * result.height >= FRAME_MIN_AREA)
+                .sort((a, b) => b.result.depth - a.result.depth);
+        } catch (error) {
+            console.warn('Failed to measure frames:', error);
+            return 0;
+        }
+
+        if (frames.length === 0) {
+            return 0;
+        }
+
+        // Parent documents only resize iframes for requests with this capture's key,
+        // which only the frames expanded here are given
+        const nonce = crypto.randomUUID();
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId: tabId, allFrames: true },
+                function: (nonce) => window.screenshotHelper && window.screenshotHelper.allowFrameExpansion(nonce),
+                args: [nonce]
+            });
+        } catch (error) {
+            console.warn('Failed to prepare frames for expansion:', error);
+            return 0;
+        }
+
+        const maxHeight = options.maxCaptureHeight > 0 ? options.maxCaptureHeight : FRAME_MAX_HEIGHT;
+        let expanded = 0;
+
+        for (const frame of frames) {
+            try {
+                const [result] = await chrome.scripting.executeScript({
+                    target: { tabId: tabId, frameIds: [frame.frameId] },
+                    function: (nonce, maxHeight, minOverflow) => window.screenshotHelper.requestFrameExpansion(nonce, maxHeight, minOverflow),
+                    args: [nonce, maxHeight, FRAME_MIN_OVERFLOW]
+                });
+
+                if (result && result.result) {
+                    expanded++;
+                }
+            } catch (error) {
+                console.warn(`Failed to expand frame ${frame.frameId}:`, error);
+            }
+        }
+
+        if (expanded > 0) {
+            this.updateStatus(`Expanded ${expanded} iframe${expanded === 1 ? '' : 's'} to their full height`, 'info');
+            await new Promise(resolve => setTimeout(resolve, FRAME_LAYOUT_DELAY));
+        }
+
+        return expanded;
+    }
+
+    async captureFullPage(tabId, options, stitchJobId, region = null, images = []) {
         // Get page dimensions
         let pageInfo;
         try {
             pageInfo = await chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                function: () => {
-                    return window.screenshotHelper ? window.screenshotHelper.getPageDimensions() : {
+                function: (scrollTarget) => {
+                    if (window.screenshotHelper) {
+                        // Pick the window or an inner scrollable container before measuring
+                        window.screenshotHelper.selectScrollTarget(scrollTarget);
+                        return window.screenshotHelper.getPageDimensions();
+                    }
+                    return {
                         scrollWidth: Math.max(
                             document.documentElement.scrollWidth,
                             document.body.scrollWidth,
@@ -82,7 +857,9 @@ class ScreenshotCapture {
                         viewportHeight: window.innerHeight,
                         devicePixelRatio: window.devicePixelRatio || 1
                     };
-                }
+                },
+                // Regions are picked in page coordinates, so they always scroll the window
+                args: [region ? 'window' : (options.scrollTarget || 'auto')]
             });
         } catch (error) {
             console.error('Failed to get page dimensions:', error);
@@ -93,20 +870,184 @@ class ScreenshotCapture {
             throw new Error('Failed to retrieve page dimensions');
         }
 
-        const { scrollWidth, scrollHeight, viewportWidth, viewportHeight } = pageInfo[0].result;
+        const { scrollWidth, scrollHeight, viewportWidth, viewportHeight, devicePixelRatio, windowWidth, clip } = pageInfo[0].result;
+
+        if (clip) {
+            console.log(`Capturing inner scrollable container at (${clip.x}, ${clip.y}) instead of the window`);
+        }
+
+        // Capture the selected region only, or the whole page up to the configured height
+        const area = this.getCaptureArea(region, scrollWidth, scrollHeight, options.maxCaptureHeight);
+        this.reportTruncation(region, area, scrollHeight);
         
+        // Rows overlap so the stitcher can match each segment against the one above
+        // and correct layout shifts and scroll rounding. At most half a viewport.
+        const overlap = Math.max(0, Math.min(Math.round(options.segmentOverlap || 0), Math.floor(viewportHeight / 2)));
+        const stepY = viewportHeight - overlap;
+
         // Calculate number of segments needed with proper boundary handling
-        // Use floor to avoid creating extra segments that would cause overlaps
-        const segmentsX = Math.max(1, Math.floor(scrollWidth / viewportWidth) + (scrollWidth % viewportWidth > 0 ? 1 : 0));
-        const segmentsY = Math.max(1, Math.floor(scrollHeight / viewportHeight) + (scrollHeight % viewportHeight > 0 ? 1 : 0));
+        const segmentsX = Math.max(1, Math.floor(area.width / viewportWidth) + (area.width % viewportWidth > 0 ? 1 : 0));
+        const segmentsY = area.height > viewportHeight ? 1 + Math.ceil((area.height - viewportHeight) / stepY) : 1;
         const totalSegments = segmentsX * segmentsY;
         
         console.log(`Page dimensions: ${scrollWidth}x${scrollHeight}, Viewport: ${viewportWidth}x${viewportHeight}`);
-        console.log(`Segments needed: ${segmentsX}x${segmentsY} = ${totalSegments} total`);
-        console.log(`Remainder: X=${scrollWidth % viewportWidth}, Y=${scrollHeight % viewportHeight}`);
+        console.log(`Capture area: ${area.width}x${area.height} at (${area.x}, ${area.y})`);
+        console.log(`Segments needed: ${segmentsX}x${segmentsY} = ${totalSegments} total, overlapping by ${overlap}px`);
+
+        // The stitcher crops every segment to the capture area
+        await this.beginOrResumeStitch(stitchJobId, { ...area, scale: devicePixelRatio || 1 }, images);
+
+        // Find fixed and sticky elements so they appear only once in the result
+        if (options.dedupeFixedElements) {
+            try {
+                const detection = await chrome.scripting.executeScript({
+                    target: { tabId: tabId },
+                    function: () => window.screenshotHelper ? window.screenshotHelper.detectFixedElements() : 0
+                });
+                console.log(`Deduplicating ${detection[0].result} fixed/sticky element(s)`);
+            } catch (error) {
+                console.warn('Failed to detect fixed elements, continuing without deduplication:', error);
+            }
+        }
+
+        try {
+            await this.captureSegments(tabId, options, stitchJobId, images, {
+                area, scrollWidth, scrollHeight, viewportWidth, viewportHeight, stepY, segmentsX, segmentsY, windowWidth, clip
+            });
+        } finally {
+            if (options.dedupeFixedElements) {
+                await this.restoreFixedElements(tabId);
+            }
+        }
+
+        // Validate that we have captured images
+        if (images.length === 0) {
+            throw new Error('No images were captured during the screenshot process');
+        }
+
+        // Validate all images have required properties
+        for (let i = 0; i < images.length; i++) {
+            const img = images[i];
+            if (typeof img.x !== 'number' || typeof img.y !== 'number' || 
+                typeof img.width !== 'number' || typeof img.height !== 'number') {
+                throw new Error(`Invalid image dimensions at index ${i}`);
+            }
+        }
+
+        // Final validation
+        const expectedSegments = segmentsX * segmentsY;
+        if (images.length !== expectedSegments) {
+            console.warn(`Expected ${expectedSegments} segments but captured ${images.length}. This might indicate some segments were skipped.`);
+        }
+        
+        // Sort images by position for consistent processing
+        images.sort((a, b) => {
+            if (a.y !== b.y) return a.y - b.y;
+            return a.x - b.x;
+        });
+        
+        console.log(`Successfully captured ${images.length} image segments`);
+        return images;
+    }
+
+    // Look for rows repeated across the seams between overlapping segments, which the
+    // stitcher could not align (e.g. content moved while it was captured). Returns a
+    // warning for the popup, or null.
+    async checkSeams(stitchJobId) {
+        try {
+            const { duplicatedRows } = await this.sendToOffscreen('checkSeams', { jobId: stitchJobId });
+            if (duplicatedRows.length === 0) {
+                return null;
+            }
 
-        const images = [];
-        let segmentIndex = 0;
+            const positions = duplicatedRows.map(row => `${Math.round(row.y)}px`).join(', ');
+            const warning = `Rows may be duplicated at ${positions} from the top of the page`;
+            console.warn(`${warning}:`, duplicatedRows);
+            this.updateStatus(`Warning: ${warning}`, 'info');
+
+            return warning;
+        } catch (error) {
+            console.warn('Failed to check segment seams:', error);
+            return null;
+        }
+    }
+
+    // Clamp a selected region to the page, or cover the whole page without one.
+    // `maxHeight` caps whole-page captures of infinite feeds.
+    getCaptureArea(region, scrollWidth, scrollHeight, maxHeight = 0) {
+        if (!region) {
+            const height = maxHeight > 0 ? Math.min(scrollHeight, maxHeight) : scrollHeight;
+            return { x: 0, y: 0, width: scrollWidth, height: height };
+        }
+
+        const x = Math.max(0, Math.min(Math.round(region.x), scrollWidth - 1));
+        const y = Math.max(0, Math.min(Math.round(region.y), scrollHeight - 1));
+
+        return {
+            x,
+            y,
+            width: Math.max(1, Math.min(Math.round(region.width), scrollWidth - x)),
+            height: Math.max(1, Math.min(Math.round(region.height), scrollHeight - y))
+        };
+    }
+
+    // Tell the user when the max page height cut a whole-page capture short. The
+    // warning is shown with the result and in the notification.
+    reportTruncation(region, area, pageHeight) {
+        if (region || area.height >= pageHeight) {
+            return;
+        }
+
+        const warning = `Page cut off at ${area.height}px of ${pageHeight}px by the max page height`;
+        console.warn(warning);
+        this.updateStatus(`Warning: ${warning}`, 'info');
+        captureJobs.update({ truncationWarning: warning });
+    }
+
+    // Start a stitch job, or check that the page still has the layout of the failed run
+    // whose segments are being resumed
+    async beginOrResumeStitch(stitchJobId, layout, images) {
+        if (images.length === 0) {
+            await this.sendToOffscreen('beginStitch', { jobId: stitchJobId, layout: layout });
+            return;
+        }
+
+        let info;
+        try {
+            info = await this.sendToOffscreen('stitchInfo', { jobId: stitchJobId });
+        } catch (error) {
+            throw new Error('The kept segments are no longer available; start a new capture');
+        }
+
+        if (info.width !== Math.floor(layout.width * layout.scale) || info.height !== Math.floor(layout.height * layout.scale)) {
+            throw new Error('The page size changed since the failed capture; start a new capture');
+        }
+    }
+
+    // Whether a resumed capture already has the segment at this grid cell. A kept
+    // segment at another page position means the viewport changed in between.
+    hasCapturedSegment(images, column, row, pageX, pageY) {
+        const existing = images.find(image => image.x === column && image.y === row);
+        if (!existing) {
+            return false;
+        }
+
+        if (existing.pageX !== pageX || existing.pageY !== pageY) {
+            throw new Error('The window size changed since the failed capture; start a new capture');
+        }
+
+        return true;
+    }
+
+    // Scroll through the segment grid, capturing each viewport and streaming it to the stitcher.
+    // Segments already in `images` are skipped, so a failed capture can be resumed.
+    async captureSegments(tabId, options, stitchJobId, images, grid) {
+        const { area, scrollWidth, scrollHeight, viewportWidth, viewportHeight, stepY, segmentsX, segmentsY, windowWidth, clip } = grid;
+        const totalSegments = segmentsX * segmentsY;
+
+        // The last row is clamped to the bottom of the page, so it may overlap more
+        const rowScrollY = row => Math.min(area.y + row * stepY, Math.max(0, scrollHeight - viewportHeight));
+        let segmentIndex = images.length;
 
         // Rate limiting based on capture speed setting
         let RATE_LIMIT_DELAY = 500; // Default: 500ms between calls = 2 calls per second
@@ -125,14 +1066,26 @@ class ScreenshotCapture {
 
         // Capture each segment
         for (let y = 0; y < segmentsY; y++) {
+            // Fixed headers belong to the first row of segments and footers to the last
+            if (options.dedupeFixedElements) {
+                await this.setFixedElementsVisibility(tabId, y, segmentsY);
+            }
+
             for (let x = 0; x < segmentsX; x++) {
-                // Calculate precise scroll position to avoid overlaps
-                const scrollX = Math.min(x * viewportWidth, Math.max(0, scrollWidth - viewportWidth));
-                const scrollY = Math.min(y * viewportHeight, Math.max(0, scrollHeight - viewportHeight));
+                captureJobs.throwIfCancelled();
+
+                // Columns never overlap; rows overlap with the row above
+                const scrollX = Math.min(area.x + x * viewportWidth, Math.max(0, scrollWidth - viewportWidth));
+                const scrollY = rowScrollY(y);
+                const overlap = y > 0 ? Math.max(0, rowScrollY(y - 1) + viewportHeight - scrollY) : 0;
+
+                if (this.hasCapturedSegment(images, x, y, scrollX, scrollY)) {
+                    continue;
+                }
                 
                 // Calculate actual segment dimensions (last segments might be smaller)
-                const actualWidth = Math.min(viewportWidth, scrollWidth - scrollX);
-                const actualHeight = Math.min(viewportHeight, scrollHeight - scrollY);
+                const actualWidth = Math.min(viewportWidth, area.x + area.width - scrollX);
+                const actualHeight = Math.min(viewportHeight, area.y + area.height - scrollY);
                 
                 console.log(`Capturing segment (${x}, ${y}) at scroll position (${scrollX}, ${scrollY}) with dimensions ${actualWidth}x${actualHeight}`);
                 
@@ -141,6 +1094,11 @@ class ScreenshotCapture {
                     await chrome.scripting.executeScript({
                         target: { tabId: tabId },
                         function: (scrollX, scrollY) => {
+                            // The helper scrolls whichever target was selected for this capture
+                            if (window.screenshotHelper) {
+                                return window.screenshotHelper.scrollTo(scrollX, scrollY);
+                            }
+
                             return new Promise((resolve) => {
                                 window.scrollTo(scrollX, scrollY);
                                 
@@ -172,27 +1130,41 @@ class ScreenshotCapture {
                     await new Promise(resolve => setTimeout(resolve, 200));
                     
                     // Capture screenshot with retry logic
-                    const screenshot = await this.captureScreenshotWithRetry(options);
+                    const screenshot = await this.captureScreenshotWithRetry();
 
                     // Validate screenshot data
                     if (!screenshot || !screenshot.startsWith('data:image/')) {
                         throw new Error(`Invalid screenshot data received for segment (${x}, ${y})`);
                     }
 
-                    // Check for duplicate segments
-                    const existingSegment = images.find(img => img.x === x && img.y === y);
-                    if (existingSegment) {
-                        console.warn(`Duplicate segment detected at (${x}, ${y}), skipping...`);
-                        continue;
+                    // Stream the segment to the stitcher right away instead of holding every capture in memory
+                    await this.sendToOffscreen('addSegment', {
+                        jobId: stitchJobId,
+                        segment: {
+                            dataUrl: screenshot,
+                            pageX: scrollX,
+                            pageY: scrollY,
+                            viewportWidth: viewportWidth,
+                            viewportHeight: viewportHeight,
+                            // Containers only fill part of the captured window
+                            windowWidth: windowWidth,
+                            clip: clip,
+                            overlap: overlap
+                        }
+                    });
+
+                    if (this.wantsTextLayer(options)) {
+                        await this.collectText(tabId, stitchJobId, true);
                     }
-                    
+
                     // Add timestamp to help identify any remaining issues
                     const timestamp = Date.now();
 
                     images.push({
-                        dataUrl: screenshot,
                         x: x,
                         y: y,
+                        pageX: scrollX,
+                        pageY: scrollY,
                         width: actualWidth,
                         height: actualHeight,
                         timestamp: timestamp
@@ -215,521 +1187,395 @@ class ScreenshotCapture {
                     this.updateStatus(`Error capturing segment (${x}, ${y}): ${error.message}`, 'error');
                     throw error;
                 }
-            }
+            }
+        }
+    }
+
+    wantsTextLayer(options) {
+        return options.format === 'pdf' && options.pdfTextLayer !== false;
+    }
+
+    // Send the text and links the page shows to the stitcher, for the searchable text
+    // layer of PDF exports. The image matters more, so failures are only logged.
+    async collectText(tabId, stitchJobId, visibleOnly) {
+        try {
+            const result = await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                function: (visibleOnly) => window.screenshotHelper ? window.screenshotHelper.collectText(visibleOnly) : null,
+                args: [visibleOnly]
+            });
+
+            const collected = result[0] && result[0].result;
+            if (collected) {
+                await this.sendToOffscreen('addText', { jobId: stitchJobId, text: collected.text, links: collected.links });
+            }
+        } catch (error) {
+            console.warn('Failed to collect page text:', error);
+        }
+    }
+
+    async setFixedElementsVisibility(tabId, segmentRow, totalRows) {
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                function: (segmentRow, totalRows) => {
+                    if (window.screenshotHelper) {
+                        window.screenshotHelper.setFixedElementsVisibility(segmentRow, totalRows);
+                    }
+                },
+                args: [segmentRow, totalRows]
+            });
+        } catch (error) {
+            console.warn('Failed to update fixed element visibility:', error);
+        }
+    }
+
+    async restoreFixedElements(tabId) {
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                function: () => {
+                    if (window.screenshotHelper) {
+                        window.screenshotHelper.restoreFixedElements();
+                    }
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to restore fixed elements:', error);
         }
+    }
 
-        // Validate that we have captured images
-        if (images.length === 0) {
-            throw new Error('No images were captured during the screenshot process');
-        }
+    // Undo everything preparePage and the capture changed in the page: injected styles,
+    // hidden elements, redactions, paused media, expanded iframes and the scroll
+    // position, in every frame. Runs even when the capture failed, so it never throws.
+    async restorePage(tabId) {
+        try {
+            const result = await chrome.scripting.executeScript({
+                target: { tabId: tabId, allFrames: true },
+                function: () => window.screenshotHelper ? window.screenshotHelper.restorePage() : []
+            });
 
-        // Validate all images have required properties
-        for (let i = 0; i < images.length; i++) {
-            const img = images[i];
-            if (!img.dataUrl || !img.dataUrl.startsWith('data:image/')) {
-                throw new Error(`Invalid image data at index ${i}`);
-            }
-            if (typeof img.x !== 'number' || typeof img.y !== 'number' || 
-                typeof img.width !== 'number' || typeof img.height !== 'number') {
-                throw new Error(`Invalid image dimensions at index ${i}`);
+            const restored = result.flatMap(frame => frame.result || []);
+            if (restored.length > 0) {
+                console.log(`Restored ${restored.length} page change(s): ${restored.join(', ')}`);
             }
+        } catch (error) {
+            console.warn('Failed to restore the page:', error);
         }
-
-        // Final validation
-        const expectedSegments = segmentsX * segmentsY;
-        if (images.length !== expectedSegments) {
-            console.warn(`Expected ${expectedSegments} segments but captured ${images.length}. This might indicate some segments were skipped.`);
-        }
-        
-        // Sort images by position for consistent processing
-        images.sort((a, b) => {
-            if (a.y !== b.y) return a.y - b.y;
-            return a.x - b.x;
-        });
-        
-        console.log(`Successfully captured ${images.length} image segments`);
-        return images;
     }
 
     async captureVisibleArea(tabId, options) {
         // Capture only the visible area with retry logic
-        return await this.captureScreenshotWithRetry(options);
+        return await this.captureScreenshotWithRetry();
     }
 
-    async processImages(images, options) {
+    async processImages(stitchJobId, options, images = []) {
         this.updateProgress(85);
         this.updateStatus('Processing images...', 'info');
 
-        if (options.format === 'pdf') {
-            return await this.createPDF(images, options);
-        } else {
-            return await this.combineImages(images, options);
-        }
+        return await this.finishOutput(stitchJobId, options, images);
     }
 
-    async processSingleImage(image, options) {
+    async processSingleImage(image, options, stitchJobId) {
         this.updateProgress(85);
         this.updateStatus('Processing image...', 'info');
 
-        if (options.format === 'pdf') {
-            return await this.createSingleImagePDF(image, options);
-        } else {
-            return await this.saveSingleImage(image, options);
-        }
+        // A single capture goes through the same stitcher so every format is encoded in one place
+        await this.sendToOffscreen('beginStitch', { jobId: stitchJobId });
+        await this.sendToOffscreen('addSegment', {
+            jobId: stitchJobId,
+            segment: { dataUrl: image }
+        });
+
+        return await this.finishOutput(stitchJobId, options);
     }
 
-    async createPDF(images, options) {
-        // Execute image processing in content script context
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        
-        console.log('Executing processImagesForPDF in content script...');
-        const processResult = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            function: async (images, options) => {
-                try {
-                    console.log('processImagesForPDF called with:', { imagesCount: images.length, options });
-                    
-                    // Validate inputs
-                    if (!images || images.length === 0) {
-                        throw new Error('No images provided to processImagesForPDF');
-                    }
+    // Encode the stitched result and save it, or hand it to the annotation editor.
+    // `nameSuffix` is appended to the file name, e.g. the width of a device capture.
+    async finishOutput(stitchJobId, options, images = [], nameSuffix = '') {
+        const info = await this.sendToOffscreen('stitchInfo', { jobId: stitchJobId });
+        const target = await this.createOutputName(options, info);
+        const baseName = `${target.name}${nameSuffix}`;
+
+        // Template folders go below the folder of a scheduled job
+        const saveOptions = { ...options, subfolder: [options.subfolder, target.folder].filter(Boolean).join('/') };
+
+        if (options.openEditor) {
+            if (info.tileCount === 1) {
+                // The editor works on a lossless copy and exports through exportImage
+                const output = await this.sendToOffscreen('finishStitch', {
+                    jobId: stitchJobId,
+                    options: { ...options, format: 'png' },
+                    baseName: baseName
+                });
 
-                    // Check for valid image data
-                    for (let i = 0; i < images.length; i++) {
-                        if (!images[i].dataUrl || !images[i].dataUrl.startsWith('data:image/')) {
-                            throw new Error(`Invalid image data at index ${i}`);
-                        }
-                    }
+                return await this.openEditor(output.files[0].url, options);
+            }
 
-                    // Create canvas to combine images
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
+            this.updateStatus('Capture is too large for the editor, saving it directly', 'info');
+        }
 
-                    if (!ctx) {
-                        throw new Error('Failed to get canvas 2D context');
-                    }
+        if (options.outputTarget === 'clipboard') {
+            const copied = await this.copyOutput(stitchJobId, saveOptions, baseName, info);
+            if (copied) {
+                return copied;
+            }
+        }
 
-                    // Calculate total dimensions
-                    const maxX = Math.max(...images.map(img => img.x));
-                    const maxY = Math.max(...images.map(img => img.y));
-                    const totalWidth = (maxX + 1) * images[0].width;
-                    const totalHeight = (maxY + 1) * images[0].height;
+        const output = await this.sendToOffscreen('finishStitch', {
+            jobId: stitchJobId,
+            options: options,
+            baseName: baseName,
+            // Segment offsets go into the tile manifest for pages beyond the canvas limit
+            segments: images
+        });
 
-                    console.log('Canvas dimensions:', { totalWidth, totalHeight, maxX, maxY });
+        return await this.saveOutput(output, saveOptions);
+    }
 
-                    // Check canvas size limits (most browsers support up to 32,767 pixels)
-                    const MAX_CANVAS_SIZE = 32767;
-                    let scale = 1;
-                    
-                    if (totalWidth > MAX_CANVAS_SIZE || totalHeight > MAX_CANVAS_SIZE) {
-                        console.warn(`Canvas size too large: ${totalWidth}x${totalHeight}. Attempting to scale down...`);
-                        
-                        // Calculate scale factor to fit within limits
-                        const scaleX = MAX_CANVAS_SIZE / totalWidth;
-                        const scaleY = MAX_CANVAS_SIZE / totalHeight;
-                        scale = Math.min(scaleX, scaleY, 1); // Don't scale up
-                        
-                        if (scale < 0.1) {
-                            throw new Error(`Page too large to process. Canvas size: ${totalWidth}x${totalHeight}. Maximum supported: ${MAX_CANVAS_SIZE}x${MAX_CANVAS_SIZE}. Consider using a smaller viewport or capturing in sections.`);
-                        }
-                        
-                        console.log(`Scaling down by factor ${scale.toFixed(3)}`);
-                    }
+    // Folder and file name (without extension) of a capture, from the filename template
+    async createOutputName(options, info) {
+        const source = options.captureSource || {};
+        let preset = options.presetName;
 
-                    canvas.width = Math.floor(totalWidth * scale);
-                    canvas.height = Math.floor(totalHeight * scale);
-
-                    // Load and draw images asynchronously
-                    const imagePromises = images.map((imageData, index) => {
-                        return new Promise((resolve, reject) => {
-                            const img = new Image();
-                            
-                            img.onload = () => {
-                                try {
-                                    console.log(`Drawing image ${index + 1}/${images.length} at position (${imageData.x}, ${imageData.y})`);
-                                    ctx.drawImage(
-                                        img,
-                                        imageData.x * imageData.width * scale,
-                                        imageData.y * imageData.height * scale,
-                                        imageData.width * scale,
-                                        imageData.height * scale
-                                    );
-                                    resolve();
-                                } catch (drawError) {
-                                    console.error(`Error drawing image ${index + 1}:`, drawError);
-                                    reject(drawError);
-                                }
-                            };
-                            
-                            img.onerror = (error) => {
-                                console.error(`Error loading image ${index + 1}:`, error);
-                                reject(new Error(`Failed to load image ${index + 1}`));
-                            };
-                            
-                            // Set timeout for image loading
-                            setTimeout(() => {
-                                reject(new Error(`Timeout loading image ${index + 1}`));
-                            }, 10000);
-                            
-                            img.src = imageData.dataUrl;
-                        });
-                    });
+        // Captures with the popup settings are named after the preset selected there
+        if (preset === undefined) {
+            try {
+                const activePreset = await settingsStore.getPreset(await settingsStore.getActivePresetId());
+                preset = activePreset ? activePreset.name : '';
+            } catch (error) {
+                console.warn('Failed to look up the active preset:', error);
+            }
+        }
 
-                    // Wait for all images to load and draw
-                    await Promise.all(imagePromises);
-                    console.log('All images drawn successfully');
+        return filenameTemplate.render(options.filenameTemplate, {
+            title: source.title,
+            url: source.url,
+            width: info.width,
+            height: info.height,
+            preset: preset
+        });
+    }
 
-                    // Convert canvas to data URL
-                    const combinedImageDataUrl = canvas.toDataURL('image/png', options.quality);
-                    console.log('Successfully created combined image data URL, length:', combinedImageDataUrl.length);
+    // Copy the stitched image to the clipboard as a PNG. Captures started from the popup
+    // are written by the popup, which has focus, while it is still open; others go
+    // through the offscreen document. Returns null when the capture has to be
+    // downloaded instead.
+    async copyOutput(stitchJobId, options, baseName, info) {
+        if (info.tileCount > 1 || info.width * info.height > CLIPBOARD_MAX_PIXELS) {
+            this.updateStatus(`Capture is too large for the clipboard (${info.width}x${info.height}), saving it instead`, 'info');
+            return null;
+        }
 
-                    return {
-                        combinedImageDataUrl,
-                        dimensions: { width: totalWidth, height: totalHeight }
-                    };
-                } catch (error) {
-                    console.error('Error in processImagesForPDF:', error);
-                    console.error('Error stack:', error.stack);
-                    return { error: error.message, stack: error.stack };
-                }
-            },
-            args: [images, options]
+        const pngOptions = { ...options, format: 'png' };
+        const output = await this.sendToOffscreen('finishStitch', {
+            jobId: stitchJobId,
+            options: pngOptions,
+            baseName: baseName
         });
+        const url = output.files[0].url;
 
-        console.log('Result from content script:', processResult);
+        // The popup closes when it loses focus, and with it the port it follows progress on
+        const copyInPopup = options.copyInPopup && captureJobs.ports.size > 0;
 
-        if (!processResult[0] || !processResult[0].result) {
-            console.error('Content script execution failed - no result returned');
-            throw new Error('Failed to process images for PDF - no result returned');
+        if (!copyInPopup) {
+            try {
+                await this.sendToOffscreen('copyImage', { url: url });
+            } catch (error) {
+                console.warn('Offscreen clipboard write failed:', error);
+                this.updateStatus('Could not copy to the clipboard, saving a PNG instead', 'info');
+                return await this.saveOutput(output, pngOptions);
+            }
         }
 
-        const resultData = processResult[0].result;
-        
-        // Check if the result contains an error
-        if (resultData.error) {
-            console.error('Content script returned error:', resultData.error);
-            throw new Error(`Failed to process images for PDF: ${resultData.error}`);
-        }
+        await this.addToHistory(output, pngOptions);
 
-        if (!resultData.combinedImageDataUrl || !resultData.dimensions) {
-            throw new Error('Content script returned invalid result - missing image data or dimensions');
+        this.updateProgress(100);
+
+        // The popup still has to fetch the image, and reports the copy once it is made
+        if (copyInPopup) {
+            this.releaseFilesLater(output);
+        } else {
+            this.releaseFiles(output);
+            this.updateStatus('Copied to the clipboard', 'success');
         }
 
-        const { combinedImageDataUrl, dimensions } = resultData;
+        // The popup writes the image itself and falls back to exportImage if that fails
+        return {
+            success: true,
+            clipboard: true,
+            filename: output.files[0].filename,
+            url: copyInPopup ? url : undefined
+        };
+    }
+
+    // Open the annotation editor with a captured image. The editor page fetches the
+    // image with a `getEditorImage` message once it has loaded. The hand-off is kept
+    // in session storage, since the service worker may be stopped before that, and
+    // the image itself stays in the offscreen document until the editor has it.
+    async openEditor(imageUrl, options) {
+        const editorId = `editor-${Date.now()}`;
+        await chrome.storage.session.set({ [`editorImage:${editorId}`]: { url: imageUrl, options: options } });
 
-        // Generate PDF from the combined image
-        const pdfResult = await this.generateAndDownloadPDF(combinedImageDataUrl, dimensions, options);
+        await chrome.tabs.create({ url: chrome.runtime.getURL(`editor.html?id=${editorId}`) });
 
         this.updateProgress(100);
+        this.updateStatus('Opened capture in the editor', 'success');
 
-        return pdfResult;
+        return { success: true, editor: true };
     }
 
-    async createSingleImagePDF(image, options) {
-        // Execute image processing in content script context
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        
-        const singleImageResult = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            function: (image, options) => {
-                try {
-                    const img = new Image();
-                    img.src = image;
-                    
-                    return {
-                        imageDataUrl: image,
-                        dimensions: { width: img.width, height: img.height }
-                    };
-                } catch (error) {
-                    console.error('Error in processSingleImageForPDF:', error);
-                    return null;
-                }
-            },
-            args: [image, options]
-        });
+    async getEditorImage(editorId) {
+        const key = `editorImage:${editorId}`;
+        const stored = await chrome.storage.session.get(key);
+        return stored[key] || null;
+    }
 
-        if (!singleImageResult[0] || !singleImageResult[0].result) {
-            throw new Error('Failed to process single image for PDF');
+    // Called once the editor has loaded the image, which it keeps from then on
+    async releaseEditorImage(editorId) {
+        const image = await this.getEditorImage(editorId);
+        if (!image) {
+            return;
         }
 
-        const { imageDataUrl, dimensions } = singleImageResult[0].result;
-
-        // Generate PDF from the single image
-        const singlePdfResult = await this.generateAndDownloadPDF(imageDataUrl, dimensions, options);
-
-        this.updateProgress(100);
-
-        return singlePdfResult;
+        await chrome.storage.session.remove(`editorImage:${editorId}`);
+        await this.releaseFiles({ files: [{ url: image.url }] });
     }
 
-    // Generate and download PDF from image data URL
-    async generateAndDownloadPDF(imageDataUrl, dimensions, options) {
+    // Save an image made by an extension page (editor, compare view) through the
+    // regular output path, so every format is encoded the same way. The image is a
+    // blob URL kept by that page, so its size is not limited by messaging.
+    async exportImage(imageUrl, options) {
+        const stitchJobId = `export-${Date.now()}`;
+
         try {
-            // Use content script to create the PDF tab since URL.createObjectURL is not available in service workers
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            
-            const result = await chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                function: (imageDataUrl, options) => {
-                    try {
-                        // Create HTML content for PDF
-                        const pageSize = options.pdfPageSize || 'a4';
-                        const orientation = options.pdfOrientation || 'portrait';
-                        
-                        const htmlContent = `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>Screenshot PDF</title>
-    <style>
-        @page {
-            size: ${pageSize} ${orientation};
-            margin: 0.5in;
-        }
-        body {
-            margin: 0;
-            padding: 0;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            min-height: 100vh;
-            background: white;
-        }
-        img {
-            max-width: 100%;
-            max-height: 100%;
-            object-fit: contain;
-        }
-        .instruction {
-            position: fixed;
-            top: 10px;
-            left: 10px;
-            background: #4CAF50;
-            color: white;
-            padding: 10px;
-            border-radius: 5px;
-            font-family: Arial, sans-serif;
-            z-index: 1000;
-        }
-    </style>
-</head>
-<body>
-    <div class="instruction">Press Ctrl+P (Cmd+P on Mac) to save as PDF</div>
-    <img src="${imageDataUrl}" alt="Screenshot" />
-</body>
-</html>`;
-                        
-                        // Create blob and URL in content script context
-                        const blob = new Blob([htmlContent], { type: 'text/html' });
-                        const blobUrl = URL.createObjectURL(blob);
-                        
-                        // Open new tab with the blob URL
-                        window.open(blobUrl, '_blank');
-                        
-                        // Clean up after a delay
-                        setTimeout(() => {
-                            URL.revokeObjectURL(blobUrl);
-                        }, 2000);
-                        
-                        return { success: true };
-                    } catch (error) {
-                        console.error('Error in PDF generation script:', error);
-                        return { success: false, error: error.message };
-                    }
-                },
-                args: [imageDataUrl, options]
-            });
-            
-            this.updateStatus('PDF tab opened. Use Ctrl+P (Cmd+P on Mac) to save as PDF.', 'info');
-            
-            return { success: true, filename: 'PDF' };
-            
+            await this.ensureOffscreenDocument();
+            return await this.processSingleImage(imageUrl, { ...options, openEditor: false, outputTarget: 'download' }, stitchJobId);
         } catch (error) {
-            console.error('Error generating PDF:', error);
-            throw new Error(`Failed to open PDF tab: ${error.message}`);
+            this.discardStitch(stitchJobId);
+            throw error;
         }
     }
-    
-
-    
-
-
-    async combineImages(images, options) {
-        // Execute image processing in content script context
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        
-        const result = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            function: async (images, options) => {
-                try {
-                    console.log('Starting image combination with', images.length, 'images');
-                    
-                    // Validate inputs
-                    if (!images || images.length === 0) {
-                        throw new Error('No images provided for combination');
-                    }
-
-                    // Check for valid image data
-                    for (let i = 0; i < images.length; i++) {
-                        if (!images[i].dataUrl || !images[i].dataUrl.startsWith('data:image/')) {
-                            throw new Error(`Invalid image data at index ${i}`);
-                        }
-                    }
-
-                    // Create canvas to combine images
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
-
-                    if (!ctx) {
-                        throw new Error('Failed to get canvas 2D context');
-                    }
-
-                    const maxX = Math.max(...images.map(img => img.x));
-                    const maxY = Math.max(...images.map(img => img.y));
-                    const totalWidth = (maxX + 1) * images[0].width;
-                    const totalHeight = (maxY + 1) * images[0].height;
-
-                    console.log('Canvas dimensions:', { totalWidth, totalHeight, maxX, maxY });
-
-                    // Check canvas size limits (most browsers support up to 32,767 pixels)
-                    const MAX_CANVAS_SIZE = 32767;
-                    let scale = 1;
-                    
-                    if (totalWidth > MAX_CANVAS_SIZE || totalHeight > MAX_CANVAS_SIZE) {
-                        console.warn(`Canvas size too large: ${totalWidth}x${totalHeight}. Attempting to scale down...`);
-                        
-                        // Calculate scale factor to fit within limits
-                        const scaleX = MAX_CANVAS_SIZE / totalWidth;
-                        const scaleY = MAX_CANVAS_SIZE / totalHeight;
-                        scale = Math.min(scaleX, scaleY, 1); // Don't scale up
-                        
-                        if (scale < 0.1) {
-                            throw new Error(`Page too large to process. Canvas size: ${totalWidth}x${totalHeight}. Maximum supported: ${MAX_CANVAS_SIZE}x${MAX_CANVAS_SIZE}. Consider using a smaller viewport or capturing in sections.`);
-                        }
-                        
-                        console.log(`Scaling down by factor ${scale.toFixed(3)}`);
-                    }
-
-                    canvas.width = Math.floor(totalWidth * scale);
-                    canvas.height = Math.floor(totalHeight * scale);
-
-                    // Load and draw images asynchronously
-                    const imagePromises = images.map((imageData, index) => {
-                        return new Promise((resolve, reject) => {
-                            const img = new Image();
-                            
-                            img.onload = () => {
-                                try {
-                                    console.log(`Drawing image ${index + 1}/${images.length} at position (${imageData.x}, ${imageData.y})`);
-                                    ctx.drawImage(
-                                        img,
-                                        imageData.x * imageData.width * scale,
-                                        imageData.y * imageData.height * scale,
-                                        imageData.width * scale,
-                                        imageData.height * scale
-                                    );
-                                    resolve();
-                                } catch (drawError) {
-                                    console.error(`Error drawing image ${index + 1}:`, drawError);
-                                    reject(drawError);
-                                }
-                            };
-                            
-                            img.onerror = (error) => {
-                                console.error(`Error loading image ${index + 1}:`, error);
-                                reject(new Error(`Failed to load image ${index + 1}`));
-                            };
-                            
-                            // Set timeout for image loading
-                            setTimeout(() => {
-                                reject(new Error(`Timeout loading image ${index + 1}`));
-                            }, 10000);
-                            
-                            img.src = imageData.dataUrl;
-                        });
-                    });
 
-                    // Wait for all images to load and draw
-                    await Promise.all(imagePromises);
-                    console.log('All images drawn successfully');
+    async saveOutput(output, options) {
+        const files = output.files || [];
 
-                    // Convert canvas to data URL
-                    const combinedImageDataUrl = canvas.toDataURL(`image/${options.format}`, options.quality);
-                    const filename = `screenshot_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${options.format}`;
-
-                    console.log('Successfully created combined image, data URL length:', combinedImageDataUrl.length);
-
-                    return { combinedImageDataUrl, filename };
-                } catch (error) {
-                    console.error('Error in combineImagesInContent:', error);
-                    console.error('Error stack:', error.stack);
-                    return { error: error.message, stack: error.stack };
-                }
-            },
-            args: [images, options]
-        });
-
-        console.log('Result from content script:', result);
+        if (files.length === 0 || files.some(file => !file.url || !file.url.startsWith('blob:'))) {
+            throw new Error('Offscreen document returned invalid output data');
+        }
 
-        if (!result[0] || !result[0].result) {
-            throw new Error('Content script execution failed - no result returned');
+        if (output.format && output.format !== options.format) {
+            this.updateStatus(`${options.format.toUpperCase()} is not supported by this browser, saving as ${output.format.toUpperCase()}`, 'info');
         }
 
-        const resultData = result[0].result;
-        
-        // Check if the result contains an error
-        if (resultData.error) {
-            throw new Error(`Failed to combine images: ${resultData.error}`);
+        if (output.tileCount > 1 && options.format !== 'pdf') {
+            this.updateStatus(`Page exceeds the canvas limit, saving ${output.tileCount} tiles...`, 'info');
         }
 
-        if (!resultData.combinedImageDataUrl || !resultData.filename) {
-            throw new Error('Content script returned invalid result - missing image data or filename');
+        // Only prompt for a location when saving a single file and the prompt is turned on;
+        // tiles go straight to Downloads
+        const downloadIds = [];
+        for (const file of files) {
+            downloadIds.push(await chrome.downloads.download({
+                url: file.url,
+                filename: options.subfolder ? `${options.subfolder}/${file.filename}` : file.filename,
+                saveAs: files.length === 1 && options.saveAs !== false
+            }));
         }
 
-        const { combinedImageDataUrl, filename } = resultData;
-        
-        await chrome.downloads.download({
-            url: combinedImageDataUrl,
-            filename: filename,
-            saveAs: true
-        });
+        await this.addToHistory(output, options);
+
+        // Downloads read from the blob URLs until they finish, which may wait on the save prompt
+        Promise.all(downloadIds.map(id => this.waitForDownload(id)))
+            .then(() => this.releaseFiles(output));
 
         this.updateProgress(100);
-        this.updateStatus('Image saved successfully!', 'success');
+        this.updateStatus(options.format === 'pdf' ? 'PDF saved successfully!' : 'Image saved successfully!', 'success');
 
-        return { success: true, filename: filename };
+        return { success: true, filename: files[0].filename, files: files.map(file => file.filename) };
     }
 
-    async saveSingleImage(image, options) {
-        const filename = `screenshot_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${options.format}`;
-        
-        await chrome.downloads.download({
-            url: image,
-            filename: filename,
-            saveAs: true
-        });
-
-        this.updateProgress(100);
-        this.updateStatus('Image saved successfully!', 'success');
+    // Free the blob URLs of output files in the offscreen document
+    async releaseFiles(output) {
+        try {
+            await this.sendToOffscreen('releaseFiles', { urls: output.files.map(file => file.url) });
+        } catch (error) {
+            console.warn('Failed to release output files:', error);
+        }
+    }
 
-        return { success: true, filename: filename };
+    // For files an extension page fetches on its own after this returns
+    releaseFilesLater(output) {
+        setTimeout(() => this.releaseFiles(output), OUTPUT_RELEASE_DELAY);
     }
 
+    // Keep a copy of every saved capture in the local history. A full history
+    // never stops a capture from being saved.
+    async addToHistory(output, options) {
+        try {
+            const settings = await historyStore.getSettings();
+            if (!settings.enabled || options.skipHistory) {
+                return;
+            }
+
+            const files = await Promise.all(output.files.map(async file => ({
+                filename: file.filename,
+                blob: await (await fetch(file.url)).blob()
+            })));
+
+            const source = options.captureSource || {};
+
+            await historyStore.addCapture({
+                url: source.url || '',
+                title: source.title || 'Exported image',
+                width: output.width,
+                height: output.height,
+                tileCount: output.tileCount,
+                // Page offset of the capture in CSS pixels and its pixel ratio, used to align comparisons
+                origin: output.origin || { x: 0, y: 0 },
+                scale: output.scale || 1,
+                format: output.format || options.format,
+                options: settingsStore.pickOptions(options),
+                thumbnail: output.thumbnail || null
+            }, files);
+        } catch (error) {
+            console.warn('Failed to add capture to history:', error);
+        }
+    }
 
+    // Run `capture` with the background tab of a scheduled run in front, then bring
+    // back the tab the user had active. Other captures run `capture` as it is.
+    async withCaptureTabActive(capture) {
+        const tabId = this.activateTabId;
+        if (!tabId) {
+            return await capture();
+        }
 
+        const [previous] = await chrome.tabs.query({ active: true, windowId: this.windowId });
+        await chrome.tabs.update(tabId, { active: true });
+        await new Promise(resolve => setTimeout(resolve, TAB_ACTIVATION_DELAY));
 
+        try {
+            return await capture();
+        } finally {
+            if (previous && previous.id !== tabId) {
+                await chrome.tabs.update(previous.id, { active: true }).catch(error => {
+                    console.warn('Failed to switch back to the previous tab:', error);
+                });
+            }
+        }
+    }
 
     // Helper method for rate-limited screenshot capture
-    async captureScreenshotWithRetry(options, maxRetries = 3) {
+    async captureScreenshotWithRetry(maxRetries = 3) {
         let screenshot = null;
         let retryCount = 0;
 
         while (!screenshot && retryCount < maxRetries) {
             try {
-                screenshot = await chrome.tabs.captureVisibleTab(null, {
-                    format: 'png',
-                    quality: Math.round(options.quality * 100)
-                });
+                // Segments are captured losslessly; the quality setting applies once,
+                // when the stitched output is encoded
+                screenshot = await this.withCaptureTabActive(() => chrome.tabs.captureVisibleTab(this.windowId, { format: 'png' }));
             } catch (error) {
                 retryCount++;
                 if (error.message.includes('MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND')) {
@@ -750,36 +1596,151 @@ class ScreenshotCapture {
         return screenshot;
     }
 
+    // Progress and status go to open popups and the capture job, which outlives them
     updateProgress(progress) {
-        try {
-            chrome.runtime.sendMessage({
-                action: 'updateProgress',
-                progress: progress
-            }).catch(error => {
-                console.warn('Failed to send progress update:', error);
+        captureJobs.reportProgress(progress);
+    }
+
+    updateStatus(message, type) {
+        captureJobs.reportStatus(message, type);
+    }
+}
+
+// Initialize screenshot capture instance
+const screenshotCapture = new ScreenshotCapture();
+
+// Context menu entries and the capture mode each one starts, plus one full-page
+// entry per saved preset
+async function buildContextMenus() {
+    const presets = await settingsStore.getPresets();
+
+    await chrome.contextMenus.removeAll();
+
+    chrome.contextMenus.create({ id: 'full-page', title: 'Capture full page', contexts: ['page'] });
+    chrome.contextMenus.create({ id: 'visible-area', title: 'Capture visible area', contexts: ['page'] });
+    chrome.contextMenus.create({ id: 'region', title: 'Capture element or region...', contexts: ['page'] });
+    chrome.contextMenus.create({ id: 'image', title: 'Capture this image', contexts: ['image'] });
+    chrome.contextMenus.create({ id: 'selection', title: 'Capture selection', contexts: ['selection'] });
+
+    if (presets.length > 0) {
+        chrome.contextMenus.create({ id: 'presets', title: 'Capture full page with preset', contexts: ['page'] });
+        presets.forEach(preset => {
+            chrome.contextMenus.create({
+                id: `preset:${preset.id}`,
+                parentId: 'presets',
+                title: preset.name,
+                contexts: ['page']
             });
-        } catch (error) {
-            console.warn('Failed to send progress update:', error);
+        });
+    }
+}
+
+// Keep one repeating alarm per enabled scheduled job. Jobs listed in `changedIds`
+// were edited, so their alarm is replaced to pick up the new schedule.
+async function syncScheduleAlarms(changedIds = []) {
+    const jobs = await scheduleStore.getJobs();
+    const alarms = await chrome.alarms.getAll();
+
+    for (const alarm of alarms) {
+        if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) continue;
+
+        const job = jobs.find(other => scheduleStore.getAlarmName(other) === alarm.name);
+        if (!job || !job.enabled || changedIds.includes(job.id)) {
+            await chrome.alarms.clear(alarm.name);
         }
     }
 
-    updateStatus(message, type) {
-        try {
-            chrome.runtime.sendMessage({
-                action: 'updateStatus',
-                message: message,
-                type: type
-            }).catch(error => {
-                console.warn('Failed to send status update:', error);
+    for (const job of jobs.filter(other => other.enabled)) {
+        const name = scheduleStore.getAlarmName(job);
+        if (!(await chrome.alarms.get(name))) {
+            await chrome.alarms.create(name, {
+                when: scheduleStore.getFirstRunTime(job),
+                periodInMinutes: job.intervalMinutes
             });
-        } catch (error) {
-            console.warn('Failed to send status update:', error);
         }
     }
 }
 
-// Initialize screenshot capture instance
-const screenshotCapture = new ScreenshotCapture();
+chrome.runtime.onInstalled.addListener(() => {
+    buildContextMenus().catch(error => console.warn('Failed to build context menus:', error));
+    syncScheduleAlarms().catch(error => console.warn('Failed to schedule captures:', error));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    syncScheduleAlarms().catch(error => console.warn('Failed to schedule captures:', error));
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && settingsStore.hasPresetChanges(changes)) {
+        buildContextMenus().catch(error => console.warn('Failed to rebuild context menus:', error));
+    }
+
+    if (areaName === 'local' && changes.scheduledJobs) {
+        const before = changes.scheduledJobs.oldValue || [];
+        const changedIds = (changes.scheduledJobs.newValue || [])
+            .filter(job => scheduleStore.hasScheduleChanged(before.find(other => other.id === job.id), job))
+            .map(job => job.id);
+
+        syncScheduleAlarms(changedIds).catch(error => console.warn('Failed to reschedule captures:', error));
+    }
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+    const prefix = [SCHEDULE_ALARM_PREFIX, SCHEDULE_RETRY_ALARM_PREFIX].find(other => alarm.name.startsWith(other));
+    if (!prefix) return;
+
+    const jobId = alarm.name.slice(prefix.length);
+    screenshotCapture.runScheduledJob(jobId).catch(error => {
+        console.error(`Scheduled capture ${jobId} failed:`, error);
+    });
+});
+
+function runCaptureMode(tab, mode) {
+    if (!tab || tab.id === undefined) {
+        console.warn(`No tab to run ${mode} capture in`);
+        return;
+    }
+
+    screenshotCapture.captureWithLastOptions(tab, mode).catch(error => {
+        console.error(`${mode} capture failed:`, error);
+        screenshotCapture.updateStatus(`Error: ${error.message}`, 'error');
+    });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    const menuItemId = String(info.menuItemId);
+
+    if (menuItemId.startsWith('preset:')) {
+        screenshotCapture.captureWithPreset(tab, menuItemId.slice('preset:'.length)).catch(error => {
+            console.error('Preset capture failed:', error);
+            screenshotCapture.updateStatus(`Error: ${error.message}`, 'error');
+        });
+        return;
+    }
+
+    runCaptureMode(tab, menuItemId);
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (COMMAND_MODES[command]) {
+        runCaptureMode(tab, COMMAND_MODES[command]);
+    }
+});
+
+// Popups follow the capture in progress through a port
+chrome.runtime.onConnect.addListener(port => {
+    if (port.name === CAPTURE_PROGRESS_PORT) {
+        captureJobs.connect(port);
+    }
+});
+
+// "Resume" on the notification of a failed capture
+chrome.notifications.onButtonClicked.addListener(notificationId => {
+    chrome.notifications.clear(notificationId);
+    screenshotCapture.resumeCapture(notificationId).catch(error => {
+        console.error('Resumed capture failed:', error);
+    });
+});
 
 // Message listener
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -804,6 +1765,92 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         
         return true; // Keep message channel open for async response
     }
+
+    if (message.action === 'cancelCapture') {
+        try {
+            sendResponse(screenshotCapture.cancelCapture(message.jobId));
+        } catch (error) {
+            sendResponse({ success: false, error: error.message });
+        }
+        return false;
+    }
+
+    if (message.action === 'resumeCapture') {
+        screenshotCapture.resumeCapture(message.jobId, message.options)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+        return true; // Keep message channel open for async response
+    }
+
+    if (message.action === 'captureDevices') {
+        screenshotCapture.captureDeviceScreenshots(message.tabId, message.options)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+        return true; // Keep message channel open for async response
+    }
+
+    // "Run now" on the scheduler page
+    if (message.action === 'runScheduledJob') {
+        screenshotCapture.runScheduledJob(message.jobId)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+        return true; // Keep message channel open for async response
+    }
+
+    // Sent by the batch page for each entry in its queue
+    if (message.action === 'captureBatchItem') {
+        screenshotCapture.captureBatchItem(message.item, message.options)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+        return true; // Keep message channel open for async response
+    }
+
+    if (message.action === 'startRegionPicker') {
+        screenshotCapture.startRegionPicker(message.tabId, message.options)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+        return true; // Keep message channel open for async response
+    }
+
+    // Sent by the editor page when it loads
+    if (message.action === 'getEditorImage') {
+        screenshotCapture.getEditorImage(message.id)
+            .then(image => sendResponse(image ? { success: true, ...image } : { success: false, error: 'Capture is no longer available' }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+        return true; // Keep message channel open for async response
+    }
+
+    if (message.action === 'releaseEditorImage') {
+        screenshotCapture.releaseEditorImage(message.id)
+            .catch(error => console.warn('Failed to release the editor image:', error));
+
+        return false;
+    }
+
+    if (message.action === 'exportImage') {
+        screenshotCapture.exportImage(message.url, message.options)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+
+        return true; // Keep message channel open for async response
+    }
+
+    // Sent by the content script once the user picked an element or region
+    if (message.action === 'regionSelected' && sender.tab) {
+        screenshotCapture.captureScreenshot(sender.tab.id, message.options, true, message.region)
+            .catch(error => {
+                console.error('Region capture failed:', error);
+                screenshotCapture.updateStatus(`Error: ${error.message}`, 'error');
+            });
+
+        return false;
+    }
     
     // Handle other messages if needed
     return false;
@@ -0,0 +1,312 @@
+// Batch capture page. Captures every tab in this window, or a list of URLs that the
+// background script opens one at a time in background tabs. The queue runs here and
+// each entry goes through the regular capture pipeline.
+
+// Pause before retrying, long enough for a capture started elsewhere to finish
+const BATCH_RETRY_DELAY = 3000;
+
+class BatchQueue {
+    constructor() {
+        this.items = [];
+        this.running = false;
+        this.cancelled = false;
+        this.startedAt = 0;
+        this.finishedAt = 0;
+        this.pageTabId = null;
+        // Capture job of the current attempt, so cancelling never stops another capture
+        this.currentJobId = null;
+        this.onChange = () => {};
+    }
+
+    // Entries are `{ url }` to open in a new tab or `{ tabId, url, title }` for open tabs
+    load(entries) {
+        this.items = entries.map((entry, index) => ({
+            index: index + 1,
+            url: entry.url,
+            title: entry.title || '',
+            tabId: entry.tabId || null,
+            windowId: entry.windowId || null,
+            status: 'pending',
+            attempts: 0,
+            filename: '',
+            error: '',
+            duration: 0
+        }));
+        this.onChange();
+    }
+
+    async run(options, retries) {
+        this.running = true;
+        this.cancelled = false;
+        this.startedAt = Date.now();
+
+        for (const item of this.items) {
+            if (this.cancelled) {
+                item.status = 'skipped';
+                continue;
+            }
+            await this.captureItem(item, options, retries);
+        }
+
+        this.running = false;
+        this.finishedAt = Date.now();
+        this.onChange();
+
+        return this.getSummary();
+    }
+
+    async captureItem(item, options, retries) {
+        const startedAt = Date.now();
+
+        while (item.attempts <= retries && !this.cancelled) {
+            item.attempts++;
+            item.status = item.attempts > 1 ? 'retrying' : 'capturing';
+            this.currentJobId = `batch-${Date.now()}-${item.index}`;
+            this.onChange();
+
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    action: 'captureBatchItem',
+                    item: { url: item.url, tabId: item.tabId, windowId: item.windowId, jobId: this.currentJobId },
+                    options: options
+                });
+
+                if (!response || !response.success) {
+                    throw new Error((response && response.error) || 'Capture failed');
+                }
+
+                item.status = 'done';
+                item.filename = response.filename || '';
+                item.error = '';
+                break;
+            } catch (error) {
+                console.warn(`Batch capture of ${item.url} failed (attempt ${item.attempts}):`, error);
+                item.status = 'failed';
+                item.error = error.message;
+
+                if (item.attempts <= retries && !this.cancelled) {
+                    await new Promise(resolve => setTimeout(resolve, BATCH_RETRY_DELAY));
+                }
+            }
+        }
+
+        item.duration = Date.now() - startedAt;
+        this.currentJobId = null;
+
+        // Captures activate the captured tab; come back so progress stays visible
+        if (this.pageTabId) {
+            await chrome.tabs.update(this.pageTabId, { active: true }).catch(() => {});
+        }
+
+        this.onChange();
+    }
+
+    // Stops the capture in progress at its next segment; remaining entries are skipped
+    cancel() {
+        this.cancelled = true;
+        if (this.currentJobId) {
+            chrome.runtime.sendMessage({ action: 'cancelCapture', jobId: this.currentJobId }).catch(() => {});
+        }
+    }
+
+    getSummary() {
+        const count = status => this.items.filter(item => item.status === status).length;
+        return {
+            total: this.items.length,
+            succeeded: count('done'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            duration: (this.finishedAt || Date.now()) - this.startedAt
+        };
+    }
+
+    toCsv() {
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const rows = [['#', 'url', 'title', 'status', 'attempts', 'file', 'error', 'duration_ms']];
+
+        this.items.forEach(item => {
+            rows.push([item.index, item.url, item.title, item.status, item.attempts, item.filename, item.error, item.duration]);
+        });
+
+        return rows.map(row => row.map(quote).join(',')).join('\r\n');
+    }
+}
+
+// Parse a pasted or uploaded URL list. Bare hostnames get https:// added.
+function parseUrlList(text) {
+    const urls = [];
+    const invalid = [];
+
+    text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#')).forEach(line => {
+        const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(line) ? line : `https://${line}`;
+        try {
+            const url = new URL(candidate);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw new Error('Unsupported protocol');
+            }
+            urls.push(url.href);
+        } catch (error) {
+            invalid.push(line);
+        }
+    });
+
+    return { urls, invalid };
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const status = document.getElementById('status');
+    const startBtn = document.getElementById('startBtn');
+    const cancelBtn = document.getElementById('cancelBtn');
+    const reportBtn = document.getElementById('reportBtn');
+    const presetSelect = document.getElementById('preset');
+    const urlList = document.getElementById('urlList');
+    const queueTable = document.getElementById('queue');
+    const queueBody = document.getElementById('queueBody');
+
+    const queue = new BatchQueue();
+    const currentTab = await chrome.tabs.getCurrent();
+    queue.pageTabId = currentTab ? currentTab.id : null;
+
+    function showStatus(message, type = 'info') {
+        status.textContent = message;
+        status.className = `status ${type}`;
+    }
+
+    function getSource() {
+        return document.querySelector('input[name="source"]:checked').value;
+    }
+
+    queue.onChange = () => {
+        queueTable.style.display = queue.items.length > 0 ? 'table' : 'none';
+        queueBody.innerHTML = '';
+
+        queue.items.forEach(item => {
+            const row = document.createElement('tr');
+            const cells = [
+                item.index,
+                item.title ? `${item.title}\n${item.url}` : item.url,
+                '',
+                item.attempts,
+                item.status === 'done' ? item.filename : item.error
+            ];
+
+            cells.forEach((value, index) => {
+                const cell = document.createElement('td');
+                if (index === 1) cell.className = 'page';
+                if (index === 2) {
+                    const badge = document.createElement('span');
+                    badge.className = `badge ${item.status}`;
+                    badge.textContent = item.status;
+                    cell.appendChild(badge);
+                } else {
+                    cell.textContent = value;
+                }
+                row.appendChild(cell);
+            });
+
+            queueBody.appendChild(row);
+        });
+
+        const current = queue.items.find(item => item.status === 'capturing' || item.status === 'retrying');
+        if (queue.running && current) {
+            showStatus(`Capturing ${current.index} of ${queue.items.length}...`);
+        }
+    };
+
+    async function collectEntries() {
+        if (getSource() === 'tabs') {
+            const tabs = await chrome.tabs.query({ currentWindow: true });
+            return tabs
+                .filter(tab => tab.id !== queue.pageTabId && /^https?:/.test(tab.url || ''))
+                .map(tab => ({ tabId: tab.id, url: tab.url, title: tab.title }));
+        }
+
+        const { urls, invalid } = parseUrlList(urlList.value);
+        if (invalid.length > 0) {
+            throw new Error(`Not a valid URL: ${invalid.slice(0, 3).join(', ')}${invalid.length > 3 ? '...' : ''}`);
+        }
+
+        return urls.map(url => ({ url, windowId: currentTab ? currentTab.windowId : null }));
+    }
+
+    async function getCaptureOptions() {
+        const options = presetSelect.value
+            ? await settingsStore.getPresetOptions(presetSelect.value)
+            : await settingsStore.getOptions();
+
+        // Inner containers have to be picked by hand, which a batch cannot do
+        return options.scrollTarget === 'pick' ? { ...options, scrollTarget: 'auto' } : options;
+    }
+
+    startBtn.addEventListener('click', async () => {
+        try {
+            const entries = await collectEntries();
+            if (entries.length === 0) {
+                throw new Error(getSource() === 'tabs' ? 'No capturable tabs in this window' : 'Add at least one URL');
+            }
+
+            const options = await getCaptureOptions();
+            const retries = Math.max(0, parseInt(document.getElementById('retries').value, 10) || 0);
+
+            startBtn.disabled = true;
+            reportBtn.disabled = true;
+            cancelBtn.disabled = false;
+
+            queue.load(entries);
+            const summary = await queue.run(options, retries);
+
+            showStatus(
+                `Finished in ${formatDuration(summary.duration)}: ${summary.succeeded} captured, ` +
+                `${summary.failed} failed, ${summary.skipped} skipped (${summary.total} total)`,
+                summary.failed > 0 ? 'error' : 'info'
+            );
+        } catch (error) {
+            console.error('Batch error:', error);
+            showStatus(`Error: ${error.message}`, 'error');
+        } finally {
+            startBtn.disabled = false;
+            cancelBtn.disabled = true;
+            reportBtn.disabled = queue.items.length === 0;
+        }
+    });
+
+    cancelBtn.addEventListener('click', () => {
+        queue.cancel();
+        cancelBtn.disabled = true;
+        showStatus('Cancelling after the current page...');
+    });
+
+    reportBtn.addEventListener('click', () => {
+        const blob = new Blob([queue.toCsv()], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `batch-report_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+
+    document.querySelectorAll('input[name="source"]').forEach(input => {
+        input.addEventListener('change', () => {
+            document.getElementById('urlSource').style.display = getSource() === 'urls' ? 'block' : 'none';
+        });
+    });
+
+    document.getElementById('urlFile').addEventListener('change', async event => {
+        const file = event.target.files[0];
+        if (file) {
+            urlList.value = await file.text();
+        }
+    });
+
+    try {
+        const presets = await settingsStore.getPresets();
+        presets.forEach(preset => presetSelect.appendChild(new Option(preset.name, preset.id)));
+    } catch (error) {
+        console.warn('Failed to load presets:', error);
+    }
+});
@@ -0,0 +1,219 @@
+// Capture jobs: the state of the capture in progress, or of the last one, kept in
+// chrome.storage.session so it survives the popup closing and the service worker
+// restarting. Progress goes to open popups through ports, to the action badge, and
+// to a notification when a capture ends while no popup is open.
+
+// Name of the port popups open to follow progress
+const CAPTURE_PROGRESS_PORT = 'capture-progress';
+
+// How long the badge shows that a capture finished
+const BADGE_DONE_DURATION = 5000;
+
+const BADGE_COLORS = {
+    running: '#4CAF50',
+    failed: '#f44336'
+};
+
+class CaptureJobTracker {
+    constructor() {
+        this.job = null;
+        this.ports = new Set();
+        this.loading = null;
+        this.badgeTimer = null;
+    }
+
+    // The current or last job. A job still marked running after a service worker
+    // restart was interrupted; its segments are kept so it can be resumed.
+    async getJob() {
+        if (!this.loading) {
+            this.loading = chrome.storage.session.get('captureJob').then(({ captureJob }) => {
+                if (this.job || !captureJob) return;
+
+                this.job = captureJob;
+                if (this.job.state === 'running') {
+                    this.job.state = 'failed';
+                    this.job.error = 'Capture was interrupted';
+                    this.job.resumable = this.job.phase === 'capturing' && this.job.segments.length > 0;
+                    this.save();
+                    this.updateBadge();
+                }
+            }).catch(error => {
+                console.warn('Failed to load capture job:', error);
+            });
+        }
+
+        await this.loading;
+        return this.job;
+    }
+
+    // Start tracking a capture. `previous` is a failed job being resumed, which keeps
+    // its ID, stitch job and captured segments.
+    start(fields, previous = null) {
+        clearTimeout(this.badgeTimer);
+
+        this.job = previous
+            ? { ...previous, state: 'running', phase: 'capturing', error: null, resumable: false, cancelRequested: false }
+            : {
+                id: `job-${Date.now()}`,
+                stitchJobId: `capture-${Date.now()}`,
+                state: 'running',
+                phase: 'capturing',
+                progress: 0,
+                message: 'Starting capture...',
+                startedAt: Date.now(),
+                segments: [],
+                error: null,
+                resumable: false,
+                cancelRequested: false,
+                ...fields
+            };
+
+        this.save();
+        this.updateBadge();
+        this.broadcast({ action: 'jobState', job: this.job });
+
+        return this.job;
+    }
+
+    update(changes) {
+        if (!this.job) return;
+
+        Object.assign(this.job, changes);
+        this.save();
+    }
+
+    // End the current job as 'done', 'failed' or 'cancelled'
+    finish(state, changes = {}) {
+        if (!this.job) return;
+
+        Object.assign(this.job, changes, { state: state, finishedAt: Date.now() });
+
+        // Segments are only worth keeping while the job can be resumed
+        if (!this.job.resumable) {
+            this.job.segments = [];
+        }
+
+        this.save();
+        this.updateBadge();
+        this.broadcast({ action: 'jobState', job: this.job });
+
+        if (this.ports.size === 0 && this.job.notify !== false) {
+            this.notify(this.job);
+        }
+    }
+
+    requestCancel(jobId = null) {
+        if (!this.job || this.job.state !== 'running' || (jobId && this.job.id !== jobId)) {
+            return false;
+        }
+
+        this.job.cancelRequested = true;
+        this.reportStatus('Cancelling capture...', 'info');
+        return true;
+    }
+
+    // Called between preparation steps and segments so a cancelled capture stops at the next one
+    throwIfCancelled() {
+        if (this.job && this.job.cancelRequested) {
+            throw new Error('Capture cancelled');
+        }
+    }
+
+    reportProgress(progress) {
+        if (this.job && this.job.state === 'running') {
+            this.job.progress = progress;
+            this.save();
+            this.updateBadge();
+        }
+
+        this.broadcast({ action: 'updateProgress', progress: progress });
+    }
+
+    reportStatus(message, type) {
+        if (this.job && this.job.state === 'running') {
+            this.job.message = message;
+            this.save();
+        }
+
+        this.broadcast({ action: 'updateStatus', message: message, type: type });
+    }
+
+    // A popup opened: send it the current state, and clear a finished capture's badge
+    connect(port) {
+        this.ports.add(port);
+        port.onDisconnect.addListener(() => this.ports.delete(port));
+
+        this.getJob().then(job => {
+            if (this.ports.has(port)) {
+                port.postMessage({ action: 'jobState', job: job });
+            }
+            if (job && job.state !== 'running') {
+                chrome.action.setBadgeText({ text: '' }).catch(() => {});
+            }
+        });
+    }
+
+    broadcast(message) {
+        this.ports.forEach(port => {
+            try {
+                port.postMessage(message);
+            } catch (error) {
+                this.ports.delete(port);
+            }
+        });
+    }
+
+    save() {
+        chrome.storage.session.set({ captureJob: this.job }).catch(error => {
+            console.warn('Failed to save capture job:', error);
+        });
+    }
+
+    updateBadge() {
+        const job = this.job;
+        let text = '';
+
+        if (job && job.state === 'running') {
+            text = `${Math.min(99, Math.round(job.progress || 0))}%`;
+        } else if (job && job.state === 'failed') {
+            text = '!';
+        } else if (job && job.state === 'done') {
+            text = '✓';
+            clearTimeout(this.badgeTimer);
+            this.badgeTimer = setTimeout(() => chrome.action.setBadgeText({ text: '' }).catch(() => {}), BADGE_DONE_DURATION);
+        }
+
+        chrome.action.setBadgeBackgroundColor({ color: job && job.state === 'failed' ? BADGE_COLORS.failed : BADGE_COLORS.running })
+            .catch(() => {});
+        chrome.action.setBadgeText({ text: text }).catch(() => {});
+    }
+
+    // The notification ID is the job ID, so its "Resume" button knows what to resume
+    notify(job) {
+        let options;
+
+        if (job.state === 'done') {
+            options = {
+                title: 'Screenshot saved',
+                message: [job.clipboard ? 'Copied to the clipboard' : job.filename || job.title || '', job.warning]
+                    .filter(Boolean).join('. ')
+            };
+        } else if (job.state === 'failed') {
+            options = {
+                title: 'Screenshot failed',
+                message: job.resumable ? `${job.error}. ${job.segments.length} segment(s) were kept.` : job.error,
+                buttons: job.resumable ? [{ title: 'Resume' }] : undefined
+            };
+        } else {
+            return;
+        }
+
+        chrome.notifications.create(job.id, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            ...options
+        }).catch(error => console.warn('Failed to show notification:', error));
+    }
+}
+
+const captureJobs = new CaptureJobTracker();
@@ -0,0 +1,484 @@
+// Compare view for two captures of the same page. The "after" capture is placed at
+// its offset relative to "before", the two are compared pixel by pixel and changed
+// areas are highlighted in a diff image.
+
+// Rows compared per getImageData call, so long captures never need a full copy in memory
+const DIFF_BAND_HEIGHT = 512;
+
+// Changed pixels are grouped into square blocks of this size to find changed regions
+const DIFF_BLOCK_SIZE = 16;
+
+// Same limits the stitcher uses for its canvases
+const MAX_CANVAS_SIZE = 32767;
+const MAX_CANVAS_AREA = 268435456;
+
+// Width of the per-row signatures used to find the vertical alignment
+const ALIGN_SIGNATURE_WIDTH = 32;
+
+class ImageComparer {
+    constructor() {
+        // Each capture is `{ image, origin }`, with its page offset in image pixels
+        this.captures = { before: null, after: null };
+    }
+
+    setCapture(slot, image, origin = { x: 0, y: 0 }) {
+        this.captures[slot] = { image, origin };
+    }
+
+    isReady() {
+        return Boolean(this.captures.before && this.captures.after);
+    }
+
+    // Captures taken at a different pixel ratio are scaled to the width of "before"
+    getAfterScale() {
+        const { before, after } = this.captures;
+        return before.image.naturalWidth / after.image.naturalWidth;
+    }
+
+    // Offset of "after" from the page positions the captures were taken at
+    getPageOffset() {
+        const { before, after } = this.captures;
+        const scale = this.getAfterScale();
+        return {
+            x: Math.round(after.origin.x * scale - before.origin.x),
+            y: Math.round(after.origin.y * scale - before.origin.y)
+        };
+    }
+
+    // Find the vertical shift that best lines up the captures, e.g. after a banner was
+    // added at the top. Uses small per-row signatures, so the result is approximate.
+    autoAlign(maxShift = 2000) {
+        // About one signature row per four pixels
+        const rowHeight = Math.max(1, this.captures.before.image.naturalWidth / ALIGN_SIGNATURE_WIDTH / 4);
+        const before = this.getRowSignatures(this.captures.before.image, 1, rowHeight);
+        const after = this.getRowSignatures(this.captures.after.image, this.getAfterScale(), rowHeight);
+        const limit = Math.ceil(maxShift / rowHeight);
+
+        let best = { shift: 0, cost: Infinity };
+
+        for (let shift = -limit; shift <= limit; shift++) {
+            const start = Math.max(0, shift);
+            const end = Math.min(before.rows, after.rows + shift);
+
+            // Require a reasonable overlap so tiny overlaps do not win by chance
+            if (end - start < Math.min(before.rows, after.rows) / 2) continue;
+
+            let cost = 0;
+            for (let row = start; row < end; row++) {
+                const beforeOffset = row * ALIGN_SIGNATURE_WIDTH;
+                const afterOffset = (row - shift) * ALIGN_SIGNATURE_WIDTH;
+                for (let column = 0; column < ALIGN_SIGNATURE_WIDTH; column++) {
+                    cost += Math.abs(before.data[beforeOffset + column] - after.data[afterOffset + column]);
+                }
+            }
+            cost /= end - start;
+
+            if (cost < best.cost) {
+                best = { shift, cost };
+            }
+        }
+
+        return { x: 0, y: Math.round(best.shift * rowHeight) };
+    }
+
+    // Grayscale thumbnail ALIGN_SIGNATURE_WIDTH wide, with one row per `rowHeight` pixels
+    getRowSignatures(image, scale, rowHeight) {
+        const rows = Math.max(1, Math.min(MAX_CANVAS_SIZE, Math.round(image.naturalHeight * scale / rowHeight)));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = ALIGN_SIGNATURE_WIDTH;
+        canvas.height = rows;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0, ALIGN_SIGNATURE_WIDTH, rows);
+
+        const pixels = ctx.getImageData(0, 0, ALIGN_SIGNATURE_WIDTH, rows).data;
+        const data = new Float32Array(ALIGN_SIGNATURE_WIDTH * rows);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114;
+        }
+
+        return { data, rows };
+    }
+
+    // Compare both captures with "after" shifted by `offset`. A pixel has changed when
+    // any channel differs by more than `threshold`, or when only one capture covers it.
+    compare(offset, threshold) {
+        const before = this.captures.before.image;
+        const after = this.captures.after.image;
+        const scale = this.getAfterScale();
+        const afterWidth = Math.round(after.naturalWidth * scale);
+        const afterHeight = Math.round(after.naturalHeight * scale);
+
+        // The diff covers both captures
+        const minX = Math.min(0, offset.x);
+        const minY = Math.min(0, offset.y);
+        const width = Math.max(before.naturalWidth, offset.x + afterWidth) - minX;
+        const height = Math.max(before.naturalHeight, offset.y + afterHeight) - minY;
+
+        if (width > MAX_CANVAS_SIZE || height > MAX_CANVAS_SIZE || width * height > MAX_CANVAS_AREA) {
+            throw new Error(`The aligned captures (${width}x${height}) are too large to compare`);
+        }
+
+        const beforeRect = { x: -minX, y: -minY, width: before.naturalWidth, height: before.naturalHeight };
+        const afterRect = { x: offset.x - minX, y: offset.y - minY, width: afterWidth, height: afterHeight };
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const outputCtx = output.getContext('2d');
+
+        const band = document.createElement('canvas');
+        band.width = width;
+        const bandCtx = band.getContext('2d', { willReadFrequently: true });
+
+        const blockColumns = Math.ceil(width / DIFF_BLOCK_SIZE);
+        const blockRows = Math.ceil(height / DIFF_BLOCK_SIZE);
+        const blocks = new Uint8Array(blockColumns * blockRows);
+        let changedPixels = 0;
+
+        for (let bandY = 0; bandY < height; bandY += DIFF_BAND_HEIGHT) {
+            const bandHeight = Math.min(DIFF_BAND_HEIGHT, height - bandY);
+            band.height = bandHeight;
+
+            bandCtx.drawImage(before, beforeRect.x, beforeRect.y - bandY);
+            const beforePixels = bandCtx.getImageData(0, 0, width, bandHeight).data;
+
+            bandCtx.clearRect(0, 0, width, bandHeight);
+            bandCtx.drawImage(after, afterRect.x, afterRect.y - bandY, afterRect.width, afterRect.height);
+            const afterPixels = bandCtx.getImageData(0, 0, width, bandHeight).data;
+
+            const diff = bandCtx.createImageData(width, bandHeight);
+            const diffPixels = diff.data;
+
+            for (let y = 0; y < bandHeight; y++) {
+                const pageY = bandY + y;
+                const inBeforeRow = pageY >= beforeRect.y && pageY < beforeRect.y + beforeRect.height;
+                const inAfterRow = pageY >= afterRect.y && pageY < afterRect.y + afterRect.height;
+
+                for (let x = 0; x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    const inBefore = inBeforeRow && x >= beforeRect.x && x < beforeRect.x + beforeRect.width;
+                    const inAfter = inAfterRow && x >= afterRect.x && x < afterRect.x + afterRect.width;
+
+                    let changed;
+                    if (inBefore && inAfter) {
+                        changed = Math.abs(beforePixels[i] - afterPixels[i]) > threshold ||
+                            Math.abs(beforePixels[i + 1] - afterPixels[i + 1]) > threshold ||
+                            Math.abs(beforePixels[i + 2] - afterPixels[i + 2]) > threshold ||
+                            Math.abs(beforePixels[i + 3] - afterPixels[i + 3]) > threshold;
+                    } else {
+                        changed = inBefore || inAfter;
+                    }
+
+                    if (changed) {
+                        changedPixels++;
+                        blocks[Math.floor(pageY / DIFF_BLOCK_SIZE) * blockColumns + Math.floor(x / DIFF_BLOCK_SIZE)] = 1;
+                        diffPixels[i] = 255;
+                        diffPixels[i + 1] = 0;
+                        diffPixels[i + 2] = 0;
+                    } else {
+                        // Unchanged content is shown faded so the changes stand out
+                        const source = inAfter ? afterPixels : beforePixels;
+                        const luminance = source[i] * 0.299 + source[i + 1] * 0.587 + source[i + 2] * 0.114;
+                        const faded = 255 - (255 - luminance) * 0.35;
+                        diffPixels[i] = faded;
+                        diffPixels[i + 1] = faded;
+                        diffPixels[i + 2] = faded;
+                    }
+                    diffPixels[i + 3] = 255;
+                }
+            }
+
+            outputCtx.putImageData(diff, 0, bandY);
+        }
+
+        const regions = this.findRegions(blocks, blockColumns, blockRows, width, height);
+        this.drawRegions(outputCtx, regions);
+
+        return {
+            canvas: output,
+            width,
+            height,
+            changedPixels,
+            percentChanged: (changedPixels / (width * height)) * 100,
+            regions
+        };
+    }
+
+    // Group neighbouring changed blocks into rectangles, largest first
+    findRegions(blocks, columns, rows, width, height) {
+        const visited = new Uint8Array(blocks.length);
+        const regions = [];
+
+        for (let start = 0; start < blocks.length; start++) {
+            if (!blocks[start] || visited[start]) continue;
+
+            let minColumn = columns, minRow = rows, maxColumn = 0, maxRow = 0;
+            const stack = [start];
+            visited[start] = 1;
+
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const column = index % columns;
+                const row = Math.floor(index / columns);
+
+                minColumn = Math.min(minColumn, column);
+                maxColumn = Math.max(maxColumn, column);
+                minRow = Math.min(minRow, row);
+                maxRow = Math.max(maxRow, row);
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nextColumn = column + dx;
+                        const nextRow = row + dy;
+                        if (nextColumn < 0 || nextRow < 0 || nextColumn >= columns || nextRow >= rows) continue;
+
+                        const next = nextRow * columns + nextColumn;
+                        if (blocks[next] && !visited[next]) {
+                            visited[next] = 1;
+                            stack.push(next);
+                        }
+                    }
+                }
+            }
+
+            const x = minColumn * DIFF_BLOCK_SIZE;
+            const y = minRow * DIFF_BLOCK_SIZE;
+            regions.push({
+                x,
+                y,
+                width: Math.min((maxColumn + 1) * DIFF_BLOCK_SIZE, width) - x,
+                height: Math.min((maxRow + 1) * DIFF_BLOCK_SIZE, height) - y
+            });
+        }
+
+        return regions.sort((a, b) => b.width * b.height - a.width * a.height);
+    }
+
+    drawRegions(ctx, regions) {
+        ctx.save();
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#ff00ff';
+        ctx.fillStyle = 'rgba(255, 0, 255, 0.08)';
+        regions.forEach(region => {
+            ctx.fillRect(region.x, region.y, region.width, region.height);
+            ctx.strokeRect(region.x - 2, region.y - 2, region.width + 4, region.height + 4);
+        });
+        ctx.restore();
+    }
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Not an image the browser can open'));
+        image.src = src;
+    });
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const status = document.getElementById('status');
+    const offsetX = document.getElementById('offsetX');
+    const offsetY = document.getElementById('offsetY');
+    const threshold = document.getElementById('threshold');
+    const thresholdValue = document.getElementById('thresholdValue');
+    const compareBtn = document.getElementById('compareBtn');
+    const autoAlignBtn = document.getElementById('autoAlignBtn');
+    const saveBtn = document.getElementById('saveBtn');
+    const result = document.getElementById('result');
+    const regionList = document.getElementById('regionList');
+    const diffContainer = document.getElementById('diffContainer');
+    disableUnsupportedFormats(document.getElementById('exportFormat'));
+
+    const comparer = new ImageComparer();
+    let diff = null;
+
+    function showStatus(message, type = 'info') {
+        status.textContent = message;
+        status.className = `status ${type}`;
+    }
+
+    function updateButtons() {
+        compareBtn.disabled = !comparer.isReady();
+        autoAlignBtn.disabled = !comparer.isReady();
+        saveBtn.disabled = !diff;
+    }
+
+    // Load a capture into a slot and show its preview. `origin` is the page offset
+    // of the capture in image pixels, when known.
+    async function setCapture(slot, dataUrl, name, origin) {
+        const image = await loadImage(dataUrl);
+        comparer.setCapture(slot, image, origin);
+
+        const preview = document.getElementById(`${slot}Preview`);
+        preview.src = dataUrl;
+        preview.style.display = 'block';
+        document.getElementById(`${slot}Info`).textContent = `${name} · ${image.naturalWidth}x${image.naturalHeight}`;
+
+        if (comparer.isReady()) {
+            const offset = comparer.getPageOffset();
+            offsetX.value = offset.x;
+            offsetY.value = offset.y;
+        }
+
+        diff = null;
+        updateButtons();
+    }
+
+    // History entries know where on the page they were taken, so they align by page offset
+    async function setCaptureFromHistory(slot, captureId) {
+        const capture = await historyStore.getCapture(captureId);
+        if (!capture) {
+            throw new Error('Capture is no longer in the history');
+        }
+
+        const [file] = await historyStore.getFiles(captureId);
+        const origin = { x: capture.origin.x * capture.scale, y: capture.origin.y * capture.scale };
+        await setCapture(slot, await readFileAsDataUrl(file.blob), capture.title, origin);
+        document.getElementById(`${slot}History`).value = captureId;
+    }
+
+    ['before', 'after'].forEach(slot => {
+        document.getElementById(`${slot}File`).addEventListener('change', async event => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            try {
+                await setCapture(slot, await readFileAsDataUrl(file), file.name);
+                document.getElementById(`${slot}History`).value = '';
+            } catch (error) {
+                showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+
+        document.getElementById(`${slot}History`).addEventListener('change', async event => {
+            if (!event.target.value) return;
+
+            try {
+                await setCaptureFromHistory(slot, event.target.value);
+            } catch (error) {
+                showStatus(`Error: ${error.message}`, 'error');
+            }
+        });
+    });
+
+    threshold.addEventListener('input', () => {
+        thresholdValue.textContent = threshold.value;
+    });
+
+    autoAlignBtn.addEventListener('click', () => {
+        try {
+            const offset = comparer.autoAlign();
+            offsetX.value = offset.x;
+            offsetY.value = offset.y;
+            showStatus(`Aligned with a vertical offset of ${offset.y}px`);
+        } catch (error) {
+            showStatus(`Error: ${error.message}`, 'error');
+        }
+    });
+
+    compareBtn.addEventListener('click', () => {
+        showStatus('Comparing...');
+        compareBtn.disabled = true;
+
+        // Let the status paint before the comparison blocks the page
+        setTimeout(() => {
+            try {
+                diff = comparer.compare(
+                    { x: parseInt(offsetX.value, 10) || 0, y: parseInt(offsetY.value, 10) || 0 },
+                    parseInt(threshold.value, 10)
+                );
+
+                diffContainer.innerHTML = '';
+                diffContainer.appendChild(diff.canvas);
+
+                result.textContent = `${diff.percentChanged.toFixed(2)}% of pixels changed in ${diff.regions.length} region${diff.regions.length === 1 ? '' : 's'}`;
+                regionList.innerHTML = '';
+                diff.regions.slice(0, 20).forEach(region => {
+                    const item = document.createElement('li');
+                    item.textContent = `${region.width}x${region.height} at (${region.x}, ${region.y})`;
+                    item.addEventListener('click', () => {
+                        const scale = diff.canvas.clientWidth / diff.width;
+                        window.scrollTo(0, diffContainer.offsetTop + region.y * scale - 100);
+                    });
+                    regionList.appendChild(item);
+                });
+
+                showStatus('Comparison finished', 'success');
+            } catch (error) {
+                console.error('Compare error:', error);
+                showStatus(`Error: ${error.message}`, 'error');
+            } finally {
+                updateButtons();
+            }
+        }, 50);
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        let imageUrl = null;
+
+        try {
+            saveBtn.disabled = true;
+            showStatus('Saving...');
+
+            const options = await settingsStore.getOptions();
+            const blob = await new Promise(resolve => diff.canvas.toBlob(resolve, 'image/png'));
+            imageUrl = URL.createObjectURL(blob);
+            const response = await chrome.runtime.sendMessage({
+                action: 'exportImage',
+                url: imageUrl,
+                options: { ...options, format: document.getElementById('exportFormat').value, captureSource: { title: 'Visual diff' } }
+            });
+
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Failed to save diff');
+            }
+
+            showStatus(`Saved ${response.filename}`, 'success');
+        } catch (error) {
+            console.error('Diff save error:', error);
+            showStatus(`Error: ${error.message}`, 'error');
+        } finally {
+            if (imageUrl) {
+                URL.revokeObjectURL(imageUrl);
+            }
+            updateButtons();
+        }
+    });
+
+    updateButtons();
+
+    try {
+        // Only single images can be compared; PDFs and tiled captures are left out
+        const captures = (await historyStore.listCaptures())
+            .filter(capture => capture.tileCount === 1 && capture.format !== 'pdf');
+
+        ['before', 'after'].forEach(slot => {
+            const select = document.getElementById(`${slot}History`);
+            captures.forEach(capture => {
+                select.appendChild(new Option(`${capture.title} · ${new Date(capture.timestamp).toLocaleString()}`, capture.id));
+            });
+        });
+
+        // The history page opens this view with both captures preselected
+        const params = new URLSearchParams(window.location.search);
+        for (const slot of ['before', 'after']) {
+            if (params.get(slot)) {
+                await setCaptureFromHistory(slot, params.get(slot));
+            }
+        }
+    } catch (error) {
+        console.error('Failed to load captures from history:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+});
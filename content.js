@@ -1,25 +1,491 @@
 // Content script for webpage screenshot functionality
 
+// Hard stops for the lazy-load pre-scroll on pages that keep growing
+const MAX_PRESCROLL_STEPS = 500;
+const MAX_PRESCROLL_DURATION = 120000;
+
+// How long a frame waits for its parent document to resize its iframe
+const FRAME_EXPAND_TIMEOUT = 1000;
+
+// Messages between a frame and its parent document when expanding iframes
+const FRAME_EXPAND_MESSAGE = 'screenshot-extension-expand-frame';
+const FRAME_EXPANDED_MESSAGE = 'screenshot-extension-frame-expanded';
+
+// Elements that are always redacted when redaction is enabled
+const REDACTION_SELECTORS = [
+    'input[type="password"]',
+    '[data-private]',
+    '[autocomplete="cc-number"]',
+    '[autocomplete="cc-csc"]'
+];
+
+// Built-in detectors for common personal data and secrets in page text
+const REDACTION_PATTERNS = [
+    { name: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+    { name: 'credit card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: value => luhnCheck(value) },
+    { name: 'AWS key', pattern: /\bAKIA[0-9A-Z]{16}\b/g },
+    { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+    { name: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+    { name: 'API key', pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/g },
+    { name: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g }
+];
+
+// Card numbers must pass the Luhn checksum, which rules out most other digit runs
+function luhnCheck(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return digits.length >= 13 && sum % 10 === 0;
+}
+
+// querySelectorAll that also looks inside open shadow roots, where web components
+// keep their own headers and images
+function querySelectorAllDeep(selector, root = document) {
+    const matches = Array.from(root.querySelectorAll(selector));
+    root.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+            matches.push(...querySelectorAllDeep(selector, element.shadowRoot));
+        }
+    });
+    return matches;
+}
+
 class PageScreenshotHelper {
     constructor() {
-        this.originalStyles = new Map();
-        this.injectedElements = [];
+        this.mutations = [];
+        this.fixedElements = [];
+        this.regionPicker = null;
+        this.regionAnchor = null;
+        this.scrollTarget = null;
+        this.pickedScrollTarget = null;
+        this.contextMenuTarget = null;
+        this.redactedElements = [];
+        this.redactedRanges = [];
+        this.preparationCancelled = false;
+        // Key of the current capture that child frames must send to be expanded
+        this.frameExpansionNonce = null;
+    }
+
+    // Prepare page for screenshot capture. Every change is recorded with a way to undo
+    // it, so restorePage can put the page back exactly as it was.
+    async prepareForScreenshot(options = {}) {
+        // Left over from a capture that never restored, e.g. the extension was reloaded
+        if (this.mutations.length > 0) {
+            this.restorePage();
+        }
+
+        this.preparationCancelled = false;
+
+        // Iframes are prepared only for redaction unless they are captured in full too
+        if (window === window.top || options.captureFrames) {
+            this.recordScrollPosition(window);
+            this.hideScrollbars(options.hideScrollbar);
+
+            if (options.preScroll) {
+                await this.preScrollPage(options);
+            }
+
+            await this.waitForImages(options.waitForImages);
+            this.cleanupPage(options);
+        }
+
+        this.redactedElements = [];
+        this.redactedRanges = [];
+        const redactedCount = options.redactPii ? this.redactSensitiveContent(options) : 0;
+        const changes = this.mutations.map(mutation => mutation.description);
+        console.log(`Prepared page for capture: ${changes.join(', ') || 'no changes'}`);
+
+        return { redactedCount, changes };
+    }
+
+    // Remember how to undo a change to the page. A `key` records a change only once,
+    // e.g. the original scroll position of a target that is scrolled many times.
+    recordMutation(description, undo, key = null) {
+        if (key && this.mutations.some(mutation => mutation.key === key)) {
+            return;
+        }
+        this.mutations.push({ description, undo, key });
+    }
+
+    recordScrollPosition(target) {
+        const x = target === window ? window.scrollX : target.scrollLeft;
+        const y = target === window ? window.scrollY : target.scrollTop;
+        const description = target === window ? 'window scroll position' : 'scroll container position';
+
+        this.recordMutation(description, () => target.scrollTo(x, y), target);
+    }
+
+    // Add a style element for the duration of the capture, to the document or a shadow root
+    injectStyle(id, css, description, parent = document.head) {
+        const style = document.createElement('style');
+        style.id = id;
+        style.textContent = css;
+        parent.appendChild(style);
+
+        this.recordMutation(description, () => style.remove());
+    }
+
+    // Mask personal data and secrets before capturing. Elements matched by selector
+    // are blurred or blacked out; text matches are boxed with a CSS highlight, which
+    // leaves the DOM untouched. Returns the number of redacted regions.
+    redactSensitiveContent(options = {}) {
+        const { selectors, patterns } = this.parseRedactionRules(options.redactionRules);
+        const elements = new Set();
+
+        [...REDACTION_SELECTORS, ...selectors].forEach(selector => {
+            try {
+                querySelectorAllDeep(selector).forEach(element => elements.add(element));
+            } catch (error) {
+                console.warn(`Ignoring invalid redaction selector "${selector}"`);
+            }
+        });
+
+        // Form fields keep their text in `value`, which the text walk below cannot see
+        querySelectorAllDeep('input, textarea').forEach(field => {
+            if (field.value && patterns.some(({ pattern, validate }) => this.findMatches(field.value, pattern, validate).length > 0)) {
+                elements.add(field);
+            }
+        });
+
+        const redacted = Array.from(elements).map(element => this.redactElement(element, options.redactionStyle));
+
+        const ranges = this.findSensitiveTextRanges(patterns)
+            .filter(range => !Array.from(elements).some(element => element.contains(range.startContainer)));
+
+        const supportsHighlights = Boolean(window.CSS && CSS.highlights && window.Highlight);
+
+        if (ranges.length > 0 && supportsHighlights) {
+            CSS.highlights.set('screenshot-extension-redaction', new Highlight(...ranges));
+            this.recordMutation(`${ranges.length} redacted text match(es)`, () => {
+                CSS.highlights.delete('screenshot-extension-redaction');
+            });
+
+            // Document styles do not reach into shadow roots, so each root with matches
+            // gets the highlight style too
+            const roots = new Set(ranges.map(range => range.startContainer.getRootNode()));
+            roots.forEach(root => {
+                this.injectStyle('screenshot-extension-redaction', `
+                    ::highlight(screenshot-extension-redaction) {
+                        background-color: #000;
+                        color: #000;
+                    }
+                `, root === document ? 'redaction highlight style' : 'redaction highlight style in a shadow root',
+                root === document ? document.head : root);
+            });
+        } else if (ranges.length > 0) {
+            // Without the highlight API, fall back to masking the containing elements
+            ranges.forEach(range => {
+                const parent = range.startContainer.parentElement;
+                if (parent && !elements.has(parent)) {
+                    elements.add(parent);
+                    redacted.push(this.redactElement(parent, options.redactionStyle));
+                }
+            });
+        }
+
+        if (redacted.length > 0) {
+            this.recordMutation(`${redacted.length} redacted element(s)`, () => {
+                redacted.forEach(({ element, filter, priority }) => {
+                    if (filter) {
+                        element.style.setProperty('filter', filter, priority);
+                    } else {
+                        element.style.removeProperty('filter');
+                    }
+                });
+            });
+        }
+
+        // Kept out of the text layer of PDF exports
+        this.redactedElements = Array.from(elements);
+        this.redactedRanges = supportsHighlights ? ranges : [];
+
+        const count = elements.size + (supportsHighlights ? ranges.length : 0);
+        console.log(`Redacted ${count} sensitive region(s)`);
+        return count;
     }
 
-    // Prepare page for screenshot capture
-    prepareForScreenshot(options = {}) {
-        this.hideScrollbars(options.hideScrollbar);
-        this.waitForImages(options.waitForImages);
-        this.cleanupPage(options);
+    // Rules are one per line: /regex/flags for text patterns, anything else is a CSS selector
+    parseRedactionRules(rules = '') {
+        const selectors = [];
+        const patterns = [...REDACTION_PATTERNS];
+
+        String(rules).split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const regexMatch = line.match(/^\/(.+)\/([a-z]*)$/);
+            if (!regexMatch) {
+                selectors.push(line);
+                return;
+            }
+
+            try {
+                const flags = regexMatch[2].includes('g') ? regexMatch[2] : `${regexMatch[2]}g`;
+                patterns.push({ name: 'custom', pattern: new RegExp(regexMatch[1], flags) });
+            } catch (error) {
+                console.warn(`Ignoring invalid redaction pattern "${line}"`);
+            }
+        });
+
+        return { selectors, patterns };
+    }
+
+    findMatches(text, pattern, validate) {
+        pattern.lastIndex = 0;
+        return Array.from(text.matchAll(pattern))
+            .filter(match => match[0].length > 0 && (!validate || validate(match[0])));
+    }
+
+    // Text matches in the page and in every open shadow root. A tree walker stops at
+    // shadow hosts, so each root is walked on its own.
+    findSensitiveTextRanges(patterns) {
+        const ranges = [];
+        const shadowRoots = querySelectorAllDeep('*').filter(element => element.shadowRoot).map(element => element.shadowRoot);
+
+        [document.body, ...shadowRoots].filter(Boolean).forEach(root => {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => {
+                    const parent = node.parentElement;
+                    if (!parent || parent.closest('script, style, noscript, #screenshot-extension-picker')) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    return node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+                }
+            });
+
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                patterns.forEach(({ pattern, validate }) => {
+                    this.findMatches(node.textContent, pattern, validate).forEach(match => {
+                        const range = document.createRange();
+                        range.setStart(node, match.index);
+                        range.setEnd(node, match.index + match[0].length);
+                        ranges.push(range);
+                    });
+                });
+            }
+        });
+
+        return ranges;
+    }
+
+    // Returns the element's own filter so the redaction can be undone
+    redactElement(element, style = 'blur') {
+        const original = {
+            element,
+            filter: element.style.getPropertyValue('filter'),
+            priority: element.style.getPropertyPriority('filter')
+        };
+
+        // brightness(0) turns the element into a solid black box without changing layout
+        element.style.setProperty('filter', style === 'box' ? 'brightness(0)' : 'blur(8px)', 'important');
+        return original;
+    }
+
+    // Text lines and links with their position in page coordinates, for the text layer
+    // of PDF exports. With `visibleOnly`, only what the scroll target shows right now,
+    // so lists that render their rows while scrolling are collected segment by segment.
+    // Hidden and redacted text is left out.
+    collectText(visibleOnly = true) {
+        const { origin, view } = this.getContentGeometry();
+        const inView = rect => rect.width > 0 && rect.height > 0 && (!visibleOnly || (
+            rect.left + rect.width / 2 >= view.x && rect.left + rect.width / 2 <= view.x + view.width &&
+            rect.top + rect.height / 2 >= view.y && rect.top + rect.height / 2 <= view.y + view.height
+        ));
+        const intersectsView = rect => rect.width > 0 && rect.height > 0 && (!visibleOnly || (
+            rect.right > view.x && rect.left < view.x + view.width && rect.bottom > view.y && rect.top < view.y + view.height
+        ));
+        const isHidden = element => this.redactedElements.some(redacted => redacted.contains(element)) ||
+            (element.checkVisibility && !element.checkVisibility({ visibilityProperty: true, opacityProperty: true }));
+        const toPage = (rect, fields) => ({
+            ...fields,
+            x: rect.left + origin.x,
+            y: rect.top + origin.y,
+            width: rect.right - rect.left,
+            height: rect.bottom - rect.top
+        });
+
+        const lines = [];
+        const range = document.createRange();
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => {
+                const parent = node.parentElement;
+                if (!parent || !node.textContent.trim() || parent.closest('script, style, noscript, #screenshot-extension-picker')) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            range.selectNodeContents(node);
+            if (!intersectsView(range.getBoundingClientRect()) || isHidden(node.parentElement)) {
+                continue;
+            }
+
+            const redacted = this.redactedRanges.filter(redactedRange => redactedRange.startContainer === node);
+            let line = null;
+
+            // Words on the same line of a text node are joined, so phrases can be searched
+            for (const match of node.textContent.matchAll(/\S+/g)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (redacted.some(redactedRange => start < redactedRange.endOffset && end > redactedRange.startOffset)) {
+                    line = null;
+                    continue;
+                }
+
+                range.setStart(node, start);
+                range.setEnd(node, end);
+                const rect = range.getBoundingClientRect();
+                if (!inView(rect)) {
+                    line = null;
+                    continue;
+                }
+
+                if (line && Math.abs(rect.top - line.top) < rect.height / 2 && rect.left >= line.right - 1) {
+                    line.text += ` ${match[0]}`;
+                    line.right = rect.right;
+                    line.bottom = Math.max(line.bottom, rect.bottom);
+                } else {
+                    line = { text: match[0], left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom };
+                    lines.push(line);
+                }
+            }
+        }
+
+        const links = [];
+        document.querySelectorAll('a[href]').forEach(anchor => {
+            if (!/^(https?|mailto|ftp):/i.test(anchor.href) || isHidden(anchor)) return;
+
+            Array.from(anchor.getClientRects()).filter(inView).forEach(rect => {
+                links.push(toPage(rect, { url: anchor.href }));
+            });
+        });
+
+        return { text: lines.map(line => toPage(line, { text: line.text })), links };
+    }
+
+    // How client coordinates map to the page coordinates of the capture, and which
+    // part of the window shows the scroll target
+    getContentGeometry() {
+        if (this.scrollTarget) {
+            const element = this.scrollTarget;
+            const rect = element.getBoundingClientRect();
+            const view = {
+                x: rect.left + element.clientLeft,
+                y: rect.top + element.clientTop,
+                width: element.clientWidth,
+                height: element.clientHeight
+            };
+
+            return { origin: { x: element.scrollLeft - view.x, y: element.scrollTop - view.y }, view };
+        }
+
+        return {
+            origin: { x: window.scrollX, y: window.scrollY },
+            view: { x: 0, y: 0, width: window.innerWidth, height: window.innerHeight }
+        };
+    }
+
+    // Walk the page once before capturing so lazy-loaded images and content appended
+    // by infinite scroll are present, then return to the top
+    async preScrollPage(options = {}) {
+        // Native lazy images only load near the viewport; load them all up front
+        const lazyImages = querySelectorAllDeep('img[loading="lazy"]');
+        lazyImages.forEach(img => {
+            img.loading = 'eager';
+        });
+        if (lazyImages.length > 0) {
+            this.recordMutation(`${lazyImages.length} lazy image(s) loaded eagerly`, () => {
+                lazyImages.forEach(img => {
+                    img.loading = 'lazy';
+                });
+            });
+        }
+
+        this.selectScrollTarget(options.scrollTarget);
+        const maxHeight = options.maxCaptureHeight > 0 ? options.maxCaptureHeight : Infinity;
+
+        let position = 0;
+        let steps = 0;
+        let { scrollHeight, viewportHeight } = this.getPageDimensions();
+        const deadline = Date.now() + MAX_PRESCROLL_DURATION;
+
+        while (position < Math.min(scrollHeight, maxHeight) && steps < MAX_PRESCROLL_STEPS &&
+            Date.now() < deadline && !this.preparationCancelled) {
+            await this.scrollTo(0, position);
+            await this.waitForQuiescence();
+
+            // Infinite feeds grow while we scroll
+            ({ scrollHeight, viewportHeight } = this.getPageDimensions());
+            position += viewportHeight;
+            steps++;
+        }
+
+        console.log(`Pre-scrolled ${steps} step(s), page height is now ${scrollHeight}px`);
+
+        await this.scrollTo(0, 0);
+        await this.waitForQuiescence();
+    }
+
+    // Called when the capture is cancelled, so a long pre-scroll stops at its next step.
+    // The background script restores the page afterwards.
+    cancelPreparation() {
+        this.preparationCancelled = true;
+    }
+
+    // Resolve once no DOM mutations or network requests happened for `idleTime` ms
+    waitForQuiescence(idleTime = 500, timeout = 5000) {
+        return new Promise(resolve => {
+            let idleTimer = null;
+            let mutationObserver = null;
+            let resourceObserver = null;
+
+            const done = () => {
+                clearTimeout(idleTimer);
+                clearTimeout(timeoutTimer);
+                if (mutationObserver) mutationObserver.disconnect();
+                if (resourceObserver) resourceObserver.disconnect();
+                resolve();
+            };
+
+            const activity = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(done, idleTime);
+            };
+
+            const timeoutTimer = setTimeout(done, timeout);
+
+            // Only content and image sources count; carousels, clocks and spinners change
+            // other attributes all the time and would keep the page from going idle
+            mutationObserver = new MutationObserver(activity);
+            mutationObserver.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['src', 'srcset']
+            });
+
+            try {
+                resourceObserver = new PerformanceObserver(activity);
+                resourceObserver.observe({ type: 'resource' });
+            } catch (error) {
+                // Resource timing is unavailable; DOM activity alone will do
+            }
+
+            activity();
+        });
     }
 
     // Hide scrollbars if requested
     hideScrollbars(hide = true) {
         if (!hide) return;
 
-        const style = document.createElement('style');
-        style.id = 'screenshot-extension-scrollbar-hide';
-        style.textContent = `
+        this.injectStyle('screenshot-extension-scrollbar-hide', `
             * {
                 scrollbar-width: none !important;
                 -ms-overflow-style: none !important;
@@ -30,20 +496,18 @@ class PageScreenshotHelper {
             html, body {
                 overflow: hidden !important;
             }
-        `;
-        
-        document.head.appendChild(style);
-        this.injectedElements.push(style);
+        `, 'hidden scrollbars');
     }
 
     // Wait for all images to load
     async waitForImages(wait = true) {
         if (!wait) return;
 
-        const images = document.querySelectorAll('img');
+        // Lazy images without a source yet would never fire load
+        const images = querySelectorAllDeep('img').filter(img => img.currentSrc || img.src);
         if (images.length === 0) return;
 
-        const imagePromises = Array.from(images).map(img => {
+        const imagePromises = images.map(img => {
             if (img.complete) {
                 return Promise.resolve();
             }
@@ -62,30 +526,527 @@ class PageScreenshotHelper {
 
     // Clean up page elements that might interfere with screenshot
     cleanupPage(options = {}) {
-        // Remove floating elements that might overlap
-        const floatingElements = document.querySelectorAll(
-            '.tooltip, .popup, .modal, .dropdown, .notification, [style*="position: fixed"], [style*="position:fixed"]'
-        );
+        // Remove floating elements that might overlap. Fixed elements are left alone when
+        // they are deduplicated per segment instead.
+        const floatingSelector = options.dedupeFixedElements
+            ? '.tooltip, .popup, .modal, .dropdown, .notification'
+            : '.tooltip, .popup, .modal, .dropdown, .notification, [style*="position: fixed"], [style*="position:fixed"]';
+        const hidden = Array.from(document.querySelectorAll(floatingSelector))
+            .filter(element => element.style.display !== 'none')
+            .map(element => ({ element, display: element.style.display }));
 
-        floatingElements.forEach(element => {
-            if (element.style.display !== 'none') {
-                this.originalStyles.set(element, element.style.display);
-                element.style.display = 'none';
-            }
+        hidden.forEach(({ element }) => {
+            element.style.display = 'none';
         });
+        if (hidden.length > 0) {
+            this.recordMutation(`${hidden.length} floating element(s) hidden`, () => {
+                hidden.forEach(({ element, display }) => {
+                    element.style.display = display;
+                });
+            });
+        }
 
         // Hide any auto-playing videos or animations
-        const mediaElements = document.querySelectorAll('video, audio');
-        mediaElements.forEach(element => {
-            if (element.autoplay) {
-                element.pause();
-                element.style.opacity = '0';
+        const media = Array.from(document.querySelectorAll('video, audio'))
+            .filter(element => element.autoplay)
+            .map(element => ({ element, opacity: element.style.opacity, playing: !element.paused }));
+
+        media.forEach(({ element }) => {
+            element.pause();
+            element.style.opacity = '0';
+        });
+        if (media.length > 0) {
+            this.recordMutation(`${media.length} autoplay media element(s) paused`, () => {
+                media.forEach(({ element, opacity, playing }) => {
+                    element.style.opacity = opacity;
+                    if (playing) {
+                        element.play().catch(() => {});
+                    }
+                });
+            });
+        }
+    }
+
+    // Find fixed and sticky elements by computed style, so headers styled through CSS
+    // classes are caught too. Returns how many were found.
+    detectFixedElements() {
+        this.restoreFixedElements();
+        this.recordMutation('fixed element visibility', () => this.restoreFixedElements(), 'fixed-elements');
+
+        const viewportHeight = window.innerHeight;
+
+        querySelectorAllDeep('*', document.body).forEach(element => {
+            const style = window.getComputedStyle(element);
+            if (style.position !== 'fixed' && style.position !== 'sticky') return;
+            if (style.display === 'none' || style.visibility === 'hidden') return;
+
+            const rect = element.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) return;
+
+            // Elements pinned to the bottom of the viewport are footers, everything else a header
+            const pinnedToBottom = style.bottom !== 'auto' && style.top === 'auto';
+            const placement = pinnedToBottom || rect.top >= viewportHeight / 2 ? 'footer' : 'header';
+
+            this.fixedElements.push({
+                element,
+                placement,
+                visibility: element.style.getPropertyValue('visibility'),
+                priority: element.style.getPropertyPriority('visibility')
+            });
+        });
+
+        return this.fixedElements.length;
+    }
+
+    // Show fixed headers only in the first segment row and footers only in the last.
+    // Visibility keeps the layout intact, which matters for sticky elements.
+    setFixedElementsVisibility(segmentRow, totalRows) {
+        const isFirst = segmentRow === 0;
+        const isLast = segmentRow === totalRows - 1;
+
+        this.fixedElements.forEach(entry => {
+            const visible = entry.placement === 'header' ? isFirst : isLast;
+            if (visible) {
+                this.restoreFixedElement(entry);
+            } else {
+                entry.element.style.setProperty('visibility', 'hidden', 'important');
             }
         });
     }
 
+    restoreFixedElement(entry) {
+        if (entry.visibility) {
+            entry.element.style.setProperty('visibility', entry.visibility, entry.priority);
+        } else {
+            entry.element.style.removeProperty('visibility');
+        }
+    }
+
+    // Restore every fixed element touched by setFixedElementsVisibility
+    restoreFixedElements() {
+        this.fixedElements.forEach(entry => this.restoreFixedElement(entry));
+        this.fixedElements = [];
+    }
+
+    // Size of this frame's content, used to find iframes that cut off their content,
+    // and how deeply the frame is nested
+    getFrameMetrics() {
+        let depth = 0;
+        for (let frame = window; frame !== window.top; frame = frame.parent) {
+            depth++;
+        }
+
+        let scrollHeight = Math.max(
+            document.documentElement.scrollHeight,
+            document.body ? document.body.scrollHeight : 0
+        );
+
+        // Apps sized to the frame (100vh) scroll an inner container instead of the
+        // document. One that reaches the bottom of the frame grows with it, so the frame
+        // needs room for the container's hidden content too. Containers that keep their
+        // height are not captured beyond what they show.
+        const container = document.body ? this.findMainScrollContainer() : null;
+        if (container && container.getBoundingClientRect().bottom >= window.innerHeight - 1) {
+            scrollHeight = Math.max(scrollHeight, window.innerHeight + container.scrollHeight - container.clientHeight);
+        }
+
+        return {
+            depth: depth,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            scrollHeight: scrollHeight
+        };
+    }
+
+    // Accept expansion requests that carry `nonce` until the page is restored. The
+    // background script hands it to the frames it expands, so other frames, such as
+    // ads, cannot resize their iframe.
+    allowFrameExpansion(nonce) {
+        this.frameExpansionNonce = nonce;
+    }
+
+    // Ask the parent document to grow this frame's iframe to the height of its content.
+    // Frames cannot reach a cross-origin parent directly, so this goes through
+    // postMessage with the capture's `nonce`. Resolves with the new height, or null
+    // when the content is less than `minOverflow` taller than the frame or the parent
+    // did not answer.
+    requestFrameExpansion(nonce, maxHeight = Infinity, minOverflow = 0) {
+        if (window === window.top) {
+            return Promise.resolve(null);
+        }
+
+        // Measured again here, since frames inside this one may have been grown since
+        const metrics = this.getFrameMetrics();
+        if (metrics.scrollHeight - metrics.height < minOverflow) {
+            return Promise.resolve(null);
+        }
+
+        const height = Math.min(metrics.scrollHeight, maxHeight);
+        const id = `${Date.now()}-${Math.random()}`;
+
+        return new Promise(resolve => {
+            const onMessage = (event) => {
+                const data = event.data;
+                if (event.source === window.parent && data && data.type === FRAME_EXPANDED_MESSAGE && data.id === id) {
+                    finish(data.height);
+                }
+            };
+
+            const finish = (result) => {
+                window.removeEventListener('message', onMessage);
+                clearTimeout(timer);
+                resolve(result);
+            };
+
+            const timer = setTimeout(() => finish(null), FRAME_EXPAND_TIMEOUT);
+            window.addEventListener('message', onMessage);
+            window.parent.postMessage({ type: FRAME_EXPAND_MESSAGE, id, nonce, height }, '*');
+        });
+    }
+
+    // Resize the iframe showing `source`. Only done while this document is prepared
+    // for a capture and for requests with the capture's nonce, so other frames and
+    // scripts cannot resize frames through the message.
+    expandChildFrame(source, height, nonce) {
+        if (this.mutations.length === 0 || !this.frameExpansionNonce || nonce !== this.frameExpansionNonce || !(height > 0)) {
+            return null;
+        }
+
+        const iframe = querySelectorAllDeep('iframe').find(element => element.contentWindow === source);
+        if (!iframe) {
+            return null;
+        }
+
+        const properties = ['height', 'min-height', 'max-height'].map(name => ({
+            name,
+            value: iframe.style.getPropertyValue(name),
+            priority: iframe.style.getPropertyPriority(name)
+        }));
+
+        // With border-box sizing the height includes the iframe's borders
+        const extra = window.getComputedStyle(iframe).boxSizing === 'border-box' ? iframe.offsetHeight - iframe.clientHeight : 0;
+        iframe.style.setProperty('height', `${Math.ceil(height + extra)}px`, 'important');
+        iframe.style.setProperty('min-height', '0', 'important');
+        iframe.style.setProperty('max-height', 'none', 'important');
+
+        this.recordMutation('expanded iframe', () => {
+            properties.forEach(({ name, value, priority }) => {
+                if (value) {
+                    iframe.style.setProperty(name, value, priority);
+                } else {
+                    iframe.style.removeProperty(name);
+                }
+            });
+        });
+
+        return height;
+    }
+
+    // Let the user click an element or drag a rectangle. Resolves with the selected
+    // region in page coordinates, the element under the pointer and the `anchor` the
+    // region is measured from (the clicked element, or the element a drag started
+    // on with the dragged `anchorRect`), or null when the picker is cancelled.
+    pickRegion(hintText = 'Click an element or drag to select a region. Press Esc to cancel.') {
+        this.cancelRegionPicker();
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.id = 'screenshot-extension-picker';
+            overlay.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647; cursor: crosshair; background: transparent;';
+
+            const highlight = document.createElement('div');
+            highlight.style.cssText = 'position: fixed; display: none; pointer-events: none; box-sizing: border-box; ' +
+                'border: 2px solid #667eea; background: rgba(102, 126, 234, 0.2);';
+
+            const hint = document.createElement('div');
+            hint.textContent = hintText;
+            hint.style.cssText = 'position: fixed; top: 10px; left: 50%; transform: translateX(-50%); padding: 8px 14px; ' +
+                'border-radius: 8px; background: rgba(0, 0, 0, 0.8); color: white; pointer-events: none; ' +
+                "font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;";
+
+            overlay.append(highlight, hint);
+            document.documentElement.appendChild(overlay);
+
+            let hoveredElement = null;
+            let dragStart = null;
+            let dragRect = null;
+
+            const elementAt = (x, y) => document.elementsFromPoint(x, y).find(element =>
+                !overlay.contains(element) && element !== document.documentElement && element !== document.body
+            ) || null;
+
+            const showHighlight = (rect) => {
+                highlight.style.display = 'block';
+                highlight.style.left = `${rect.left}px`;
+                highlight.style.top = `${rect.top}px`;
+                highlight.style.width = `${rect.width}px`;
+                highlight.style.height = `${rect.height}px`;
+            };
+
+            const onMouseMove = (event) => {
+                if (dragStart) {
+                    const width = Math.abs(event.clientX - dragStart.x);
+                    const height = Math.abs(event.clientY - dragStart.y);
+
+                    // Small movements still count as a click on the hovered element
+                    if (dragRect || width > 5 || height > 5) {
+                        dragRect = {
+                            left: Math.min(event.clientX, dragStart.x),
+                            top: Math.min(event.clientY, dragStart.y),
+                            width,
+                            height
+                        };
+                        showHighlight(dragRect);
+                    }
+                    return;
+                }
+
+                hoveredElement = elementAt(event.clientX, event.clientY);
+                if (hoveredElement) {
+                    showHighlight(hoveredElement.getBoundingClientRect());
+                } else {
+                    highlight.style.display = 'none';
+                }
+            };
+
+            const onMouseDown = (event) => {
+                if (event.button !== 0) return;
+                event.preventDefault();
+                dragStart = { x: event.clientX, y: event.clientY };
+            };
+
+            const onMouseUp = (event) => {
+                if (!dragStart) return;
+                event.preventDefault();
+
+                const rect = dragRect || (hoveredElement && hoveredElement.getBoundingClientRect());
+                finish(rect && rect.width > 0 && rect.height > 0 ? {
+                    region: {
+                        x: Math.round(rect.left + window.scrollX),
+                        y: Math.round(rect.top + window.scrollY),
+                        width: Math.round(rect.width),
+                        height: Math.round(rect.height)
+                    },
+                    element: hoveredElement,
+                    anchor: dragRect ? elementAt(dragStart.x, dragStart.y) || document.documentElement : hoveredElement,
+                    anchorRect: dragRect
+                } : null);
+            };
+
+            const onKeyDown = (event) => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    finish(null);
+                }
+            };
+
+            const finish = (selection) => {
+                overlay.removeEventListener('mousemove', onMouseMove);
+                overlay.removeEventListener('mousedown', onMouseDown);
+                overlay.removeEventListener('mouseup', onMouseUp);
+                window.removeEventListener('keydown', onKeyDown, true);
+                overlay.remove();
+                this.regionPicker = null;
+                resolve(selection);
+            };
+
+            overlay.addEventListener('mousemove', onMouseMove);
+            overlay.addEventListener('mousedown', onMouseDown);
+            overlay.addEventListener('mouseup', onMouseUp);
+            window.addEventListener('keydown', onKeyDown, true);
+
+            this.regionPicker = { cancel: () => finish(null) };
+        });
+    }
+
+    // Run the picker and hand the selection back to the background script. In
+    // container mode the clicked scrollable area becomes the scroll target of a
+    // full-page capture instead.
+    startRegionPicker(options = {}) {
+        if (options.pickMode === 'container') {
+            this.pickRegion('Click the scrollable area to capture. Press Esc to cancel.').then(selection => {
+                if (!selection) return;
+
+                this.pickedScrollTarget = this.findScrollableAncestor(selection.element);
+                if (!this.pickedScrollTarget) {
+                    console.warn('No scrollable container at the selected point, falling back to auto-detection');
+                }
+
+                chrome.runtime.sendMessage({ action: 'regionSelected', region: null, options });
+            });
+            return;
+        }
+
+        this.regionAnchor = null;
+        this.pickRegion().then(selection => {
+            if (selection) {
+                this.setRegionAnchor(selection.anchor, selection.anchorRect);
+                chrome.runtime.sendMessage({ action: 'regionSelected', region: selection.region, options });
+            }
+        });
+    }
+
+    cancelRegionPicker() {
+        if (this.regionPicker) {
+            this.regionPicker.cancel();
+        }
+    }
+
+    // Region of the image or text selection a context menu was opened on, in page coordinates
+    getContextRegion(kind) {
+        let anchor = null;
+
+        if (kind === 'image') {
+            const target = this.contextMenuTarget;
+            anchor = target && (target.closest('img, picture, svg, canvas, video') || target);
+        } else if (kind === 'selection') {
+            const selection = window.getSelection();
+            anchor = selection && selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+        }
+
+        const rect = anchor ? anchor.getBoundingClientRect() : null;
+        if (!rect || rect.width === 0 || rect.height === 0) {
+            this.regionAnchor = null;
+            return null;
+        }
+
+        this.setRegionAnchor(anchor);
+
+        return {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+        };
+    }
+
+    // Remember what a region was picked on, an element or a range, so it can be
+    // measured again once the page is prepared: hidden scrollbars and fixed elements
+    // can move it. A dragged `rect` keeps its offset from the anchor and its size.
+    setRegionAnchor(target, rect = null) {
+        const targetRect = target.getBoundingClientRect();
+        this.regionAnchor = {
+            target,
+            offsetX: rect ? rect.left - targetRect.left : 0,
+            offsetY: rect ? rect.top - targetRect.top : 0,
+            width: rect ? rect.width : null,
+            height: rect ? rect.height : null
+        };
+    }
+
+    // The picked region in page coordinates as the page is laid out now, or null when
+    // what it was picked on has left the page
+    measurePickedRegion() {
+        const anchor = this.regionAnchor;
+        const node = anchor && (anchor.target instanceof Range ? anchor.target.startContainer : anchor.target);
+        if (!node || !node.isConnected) {
+            return null;
+        }
+
+        const rect = anchor.target.getBoundingClientRect();
+        const width = anchor.width === null ? rect.width : anchor.width;
+        const height = anchor.height === null ? rect.height : anchor.height;
+        if (!(width > 0 && height > 0)) {
+            return null;
+        }
+
+        return {
+            x: Math.round(rect.left + anchor.offsetX + window.scrollX),
+            y: Math.round(rect.top + anchor.offsetY + window.scrollY),
+            width: Math.round(width),
+            height: Math.round(height)
+        };
+    }
+
+    // Whether an element scrolls its own content
+    isScrollable(element) {
+        const style = window.getComputedStyle(element);
+        const scrollsY = /(auto|scroll|overlay)/.test(style.overflowY) && element.scrollHeight > element.clientHeight + 1;
+        const scrollsX = /(auto|scroll|overlay)/.test(style.overflowX) && element.scrollWidth > element.clientWidth + 1;
+        return scrollsY || scrollsX;
+    }
+
+    // Scrollable elements other than the document, largest visible area first
+    findScrollableContainers() {
+        return Array.from(document.querySelectorAll('body *'))
+            .filter(element => element.clientWidth > 0 && element.clientHeight > 0 && this.isScrollable(element))
+            .sort((a, b) => (b.clientWidth * b.clientHeight) - (a.clientWidth * a.clientHeight));
+    }
+
+    findScrollableAncestor(element) {
+        for (let current = element; current && current !== document.body; current = current.parentElement) {
+            if (this.isScrollable(current)) {
+                return current;
+            }
+        }
+        return null;
+    }
+
+    // Decide what the capture scrolls: 'window', 'auto' (largest scrollable container
+    // when the window itself barely scrolls) or 'pick' (container chosen in the picker)
+    selectScrollTarget(mode = 'auto') {
+        this.scrollTarget = null;
+
+        if (mode === 'window') {
+            return 'window';
+        }
+
+        if (mode === 'pick' && this.pickedScrollTarget && this.pickedScrollTarget.isConnected) {
+            this.scrollTarget = this.pickedScrollTarget;
+            return 'element';
+        }
+
+        const container = this.findMainScrollContainer();
+        if (container) {
+            this.scrollTarget = container;
+            return 'element';
+        }
+
+        return 'window';
+    }
+
+    // The largest scrollable container, when it covers a quarter of the window and
+    // hides more content than the window itself does
+    findMainScrollContainer() {
+        const [largest] = this.findScrollableContainers();
+        if (!largest) {
+            return null;
+        }
+
+        const windowOverflow = Math.max(
+            document.documentElement.scrollHeight,
+            document.body.scrollHeight
+        ) - window.innerHeight;
+        const containerOverflow = largest.scrollHeight - largest.clientHeight;
+        const coversViewport = largest.clientWidth * largest.clientHeight >= window.innerWidth * window.innerHeight * 0.25;
+
+        return coversViewport && containerOverflow > windowOverflow ? largest : null;
+    }
+
     // Get page dimensions
     getPageDimensions() {
+        if (this.scrollTarget) {
+            const element = this.scrollTarget;
+            const rect = element.getBoundingClientRect();
+
+            return {
+                scrollWidth: element.scrollWidth,
+                scrollHeight: element.scrollHeight,
+                viewportWidth: element.clientWidth,
+                viewportHeight: element.clientHeight,
+                devicePixelRatio: window.devicePixelRatio || 1,
+                windowWidth: window.innerWidth,
+                // Visible content box of the container within the window
+                clip: {
+                    x: rect.left + element.clientLeft,
+                    y: rect.top + element.clientTop,
+                    width: element.clientWidth,
+                    height: element.clientHeight
+                }
+            };
+        }
+
         return {
             scrollWidth: Math.max(
                 document.documentElement.scrollWidth,
@@ -101,36 +1062,55 @@ class PageScreenshotHelper {
         };
     }
 
-    // Scroll to specific position
+    // Scroll the capture target to a specific position
     scrollTo(x, y) {
-        window.scrollTo(x, y);
+        const target = this.scrollTarget || window;
+        this.recordScrollPosition(target);
+        target.scrollTo(x, y);
+
+        const position = () => this.scrollTarget
+            ? { x: this.scrollTarget.scrollLeft, y: this.scrollTarget.scrollTop }
+            : { x: window.scrollX, y: window.scrollY };
+
         return new Promise(resolve => {
-            // Wait for scroll to complete
-            setTimeout(resolve, 100);
+            let attempts = 0;
+
+            // Wait for scroll to actually complete
+            const checkScroll = () => {
+                const current = position();
+                if ((Math.abs(current.x - x) < 5 && Math.abs(current.y - y) < 5) || ++attempts > 20) {
+                    resolve();
+                } else {
+                    setTimeout(checkScroll, 50);
+                }
+            };
+
+            // Start checking after a short delay
+            setTimeout(checkScroll, 100);
         });
     }
 
-    // Restore original page state
+    // Undo every recorded change, newest first, so the original scroll position is
+    // restored last. Returns the descriptions of what was restored.
     restorePage() {
-        // Remove injected styles
-        this.injectedElements.forEach(element => {
-            if (element.parentNode) {
-                element.parentNode.removeChild(element);
+        const restored = [];
+        this.frameExpansionNonce = null;
+
+        while (this.mutations.length > 0) {
+            const mutation = this.mutations.pop();
+            try {
+                mutation.undo();
+                restored.push(mutation.description);
+            } catch (error) {
+                console.warn(`Failed to restore ${mutation.description}:`, error);
             }
-        });
-        this.injectedElements = [];
+        }
 
-        // Restore original styles
-        this.originalStyles.forEach((originalStyle, element) => {
-            element.style.display = originalStyle;
-        });
-        this.originalStyles.clear();
+        if (restored.length > 0) {
+            console.log(`Restored page after capture: ${restored.join(', ')}`);
+        }
 
-        // Restore media elements
-        const mediaElements = document.querySelectorAll('video, audio');
-        mediaElements.forEach(element => {
-            element.style.opacity = '';
-        });
+        return restored;
     }
 
     // Check if page is ready for screenshot
@@ -150,20 +1130,21 @@ class PageScreenshotHelper {
     // Optimize page for better screenshot quality
     optimizeForScreenshot() {
         // Ensure proper font rendering
+        const { webkitFontSmoothing, mozOsxFontSmoothing } = document.body.style;
         document.body.style.webkitFontSmoothing = 'antialiased';
         document.body.style.mozOsxFontSmoothing = 'grayscale';
+        this.recordMutation('font smoothing', () => {
+            document.body.style.webkitFontSmoothing = webkitFontSmoothing;
+            document.body.style.mozOsxFontSmoothing = mozOsxFontSmoothing;
+        });
         
         // Disable any CSS animations during capture
-        const style = document.createElement('style');
-        style.id = 'screenshot-extension-optimize';
-        style.textContent = `
+        this.injectStyle('screenshot-extension-optimize', `
             *, *::before, *::after {
                 animation: none !important;
                 transition: none !important;
             }
-        `;
-        document.head.appendChild(style);
-        this.injectedElements.push(style);
+        `, 'disabled animations');
     }
 }
 
@@ -190,8 +1171,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             return true; // Keep message channel open
             
         case 'restorePage':
-            window.screenshotHelper.restorePage();
-            sendResponse({ success: true });
+            sendResponse({ success: true, restored: window.screenshotHelper.restorePage() });
             break;
             
         case 'optimizePage':
@@ -207,6 +1187,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 });
 
+// Remember what the context menu was opened on for "Capture this image"
+document.addEventListener('contextmenu', (event) => {
+    window.screenshotHelper.contextMenuTarget = event.target;
+}, true);
+
+// A child frame asking for its iframe to be expanded before a full-page capture
+window.addEventListener('message', (event) => {
+    const data = event.data;
+    if (!data || data.type !== FRAME_EXPAND_MESSAGE || !event.source) return;
+
+    const height = window.screenshotHelper.expandChildFrame(event.source, data.height, data.nonce);
+    if (height) {
+        event.source.postMessage({ type: FRAME_EXPANDED_MESSAGE, id: data.id, height }, '*');
+    }
+});
+
 // Auto-cleanup when page unloads
 window.addEventListener('beforeunload', () => {
     if (window.screenshotHelper) {
@@ -214,4 +1210,7 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
-console.log('Full Webpage Screenshot extension content script loaded');
+// Frames get the script only when a capture needs them, so only the page logs this
+if (window === window.top) {
+    console.log('Full Webpage Screenshot extension content script loaded');
+}
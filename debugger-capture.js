@@ -0,0 +1,131 @@
+// Page capture through the Chrome DevTools protocol, using chrome.debugger.
+// Chrome shows an "is debugging this browser" bar while a session is attached.
+
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+
+// Screenshots larger than this (in device pixels) per side can exceed the GPU texture limit
+const DEBUGGER_MAX_TILE_PIXELS = 8192;
+
+// Widths designers check most often, with a matching screen size and user agent
+const DEVICE_PRESETS = {
+    mobile: {
+        label: 'Mobile',
+        width: 375,
+        height: 812,
+        deviceScaleFactor: 3,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+    },
+    tablet: {
+        label: 'Tablet',
+        width: 768,
+        height: 1024,
+        deviceScaleFactor: 2,
+        mobile: true,
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+    },
+    desktop: {
+        label: 'Desktop',
+        width: 1440,
+        height: 900,
+        deviceScaleFactor: 1,
+        mobile: false,
+        userAgent: ''
+    }
+};
+
+class DebuggerSession {
+    constructor(tabId) {
+        this.target = { tabId: tabId };
+        this.attached = false;
+
+        // The user can end the session at any time from the debugging bar
+        this.onDetach = (source, reason) => {
+            if (source.tabId === this.target.tabId) {
+                console.warn(`Debugger detached: ${reason}`);
+                this.attached = false;
+            }
+        };
+    }
+
+    async attach() {
+        await chrome.debugger.attach(this.target, DEBUGGER_PROTOCOL_VERSION);
+        this.attached = true;
+        chrome.debugger.onDetach.addListener(this.onDetach);
+    }
+
+    async detach() {
+        chrome.debugger.onDetach.removeListener(this.onDetach);
+
+        if (!this.attached) {
+            return;
+        }
+
+        this.attached = false;
+        try {
+            await chrome.debugger.detach(this.target);
+        } catch (error) {
+            console.warn('Failed to detach debugger:', error);
+        }
+    }
+
+    async send(method, params = {}) {
+        if (!this.attached) {
+            throw new Error('Debugger is not attached to the tab');
+        }
+        return await chrome.debugger.sendCommand(this.target, method, params);
+    }
+
+    // Resize the page to a device. Media queries apply immediately; the user agent
+    // only affects scripts and requests from now on, the page is not reloaded.
+    async emulateDevice(device) {
+        await this.send('Emulation.setDeviceMetricsOverride', {
+            width: device.width,
+            height: device.height,
+            deviceScaleFactor: device.deviceScaleFactor,
+            mobile: device.mobile,
+            screenWidth: device.width,
+            screenHeight: device.height
+        });
+        await this.send('Emulation.setUserAgentOverride', { userAgent: device.userAgent || '' });
+        await this.send('Emulation.setTouchEmulationEnabled', { enabled: device.mobile });
+    }
+
+    async clearEmulation() {
+        await this.send('Emulation.clearDeviceMetricsOverride');
+        await this.send('Emulation.setUserAgentOverride', { userAgent: '' });
+        await this.send('Emulation.setTouchEmulationEnabled', { enabled: false });
+    }
+
+    // Full page size in CSS pixels, plus the device pixel ratio screenshots are taken at
+    async getLayoutMetrics() {
+        const metrics = await this.send('Page.getLayoutMetrics');
+        const content = metrics.cssContentSize || metrics.contentSize;
+        const viewport = metrics.cssLayoutViewport || metrics.layoutViewport;
+
+        const evaluation = await this.send('Runtime.evaluate', {
+            expression: 'window.devicePixelRatio',
+            returnByValue: true
+        });
+
+        return {
+            width: Math.ceil(content.width),
+            height: Math.ceil(content.height),
+            viewportWidth: viewport.clientWidth,
+            viewportHeight: viewport.clientHeight,
+            devicePixelRatio: (evaluation.result && evaluation.result.value) || 1
+        };
+    }
+
+    // Render part of the page, in page CSS pixels, without scrolling to it
+    async captureClip(clip) {
+        const { data } = await this.send('Page.captureScreenshot', {
+            format: 'png',
+            clip: { ...clip, scale: 1 },
+            captureBeyondViewport: true,
+            fromSurface: true
+        });
+
+        return `data:image/png;base64,${data}`;
+    }
+}
@@ -0,0 +1,397 @@
+// Annotation editor opened after a capture when "Open in editor" is enabled.
+// Annotations are kept as a list of operations in image coordinates, so undo and
+// redo simply replay the list over the original capture.
+
+class AnnotationEditor {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.image = null;
+
+        // Original capture with every committed operation applied, uncropped
+        this.committed = document.createElement('canvas');
+        this.committedCtx = this.committed.getContext('2d');
+
+        this.operations = [];
+        this.redoStack = [];
+        this.draft = null;
+
+        this.tool = 'arrow';
+        this.color = '#e53935';
+        this.lineWidth = 4;
+        this.onChange = () => {};
+
+        canvas.addEventListener('mousedown', event => this.onMouseDown(event));
+        window.addEventListener('mousemove', event => this.onMouseMove(event));
+        window.addEventListener('mouseup', event => this.onMouseUp(event));
+    }
+
+    load(image) {
+        this.image = image;
+        this.committed.width = image.naturalWidth;
+        this.committed.height = image.naturalHeight;
+        this.replay();
+    }
+
+    // The last crop wins; without one the whole image is shown
+    getCrop() {
+        const crops = this.operations.filter(op => op.type === 'crop');
+        return crops.length > 0
+            ? crops[crops.length - 1]
+            : { x: 0, y: 0, width: this.committed.width, height: this.committed.height };
+    }
+
+    // Rebuild the committed canvas from the original image and the operation list
+    replay() {
+        this.committedCtx.clearRect(0, 0, this.committed.width, this.committed.height);
+        this.committedCtx.drawImage(this.image, 0, 0);
+        this.operations.forEach(op => this.drawOperation(this.committedCtx, op));
+        this.render();
+    }
+
+    render() {
+        const crop = this.getCrop();
+
+        if (this.canvas.width !== crop.width || this.canvas.height !== crop.height) {
+            this.canvas.width = crop.width;
+            this.canvas.height = crop.height;
+        }
+
+        this.ctx.drawImage(this.committed, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+
+        if (this.draft) {
+            this.ctx.save();
+            this.ctx.translate(-crop.x, -crop.y);
+            if (['crop', 'blur', 'pixelate'].includes(this.draft.type)) {
+                // Region tools only preview their outline until released
+                this.drawSelectionOutline(this.ctx, this.draft);
+            } else {
+                this.drawOperation(this.ctx, this.draft);
+            }
+            this.ctx.restore();
+        }
+
+        this.onChange();
+    }
+
+    commit(op) {
+        this.operations.push(op);
+        this.redoStack = [];
+
+        // Crops only change what is shown, so there is nothing to draw
+        if (op.type !== 'crop') {
+            this.drawOperation(this.committedCtx, op);
+        }
+        this.render();
+    }
+
+    undo() {
+        if (this.operations.length === 0) return;
+        this.redoStack.push(this.operations.pop());
+        this.replay();
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.operations.push(this.redoStack.pop());
+        this.replay();
+    }
+
+    drawOperation(ctx, op) {
+        ctx.save();
+        ctx.strokeStyle = op.color;
+        ctx.fillStyle = op.color;
+        ctx.lineWidth = op.lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        switch (op.type) {
+            case 'arrow': {
+                const angle = Math.atan2(op.y2 - op.y1, op.x2 - op.x1);
+                const headSize = Math.max(12, op.lineWidth * 4);
+
+                ctx.beginPath();
+                ctx.moveTo(op.x1, op.y1);
+                ctx.lineTo(op.x2, op.y2);
+                ctx.stroke();
+
+                ctx.beginPath();
+                ctx.moveTo(op.x2, op.y2);
+                ctx.lineTo(op.x2 - headSize * Math.cos(angle - Math.PI / 6), op.y2 - headSize * Math.sin(angle - Math.PI / 6));
+                ctx.lineTo(op.x2 - headSize * Math.cos(angle + Math.PI / 6), op.y2 - headSize * Math.sin(angle + Math.PI / 6));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+
+            case 'rectangle':
+                ctx.strokeRect(op.x, op.y, op.width, op.height);
+                break;
+
+            case 'highlight':
+                ctx.globalAlpha = 0.35;
+                ctx.fillRect(op.x, op.y, op.width, op.height);
+                break;
+
+            case 'text':
+                ctx.font = `bold ${op.fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+                ctx.textBaseline = 'top';
+                op.text.split('\n').forEach((line, index) => {
+                    ctx.fillText(line, op.x, op.y + index * op.fontSize * 1.2);
+                });
+                break;
+
+            case 'blur':
+                this.blurRegion(ctx, op);
+                break;
+
+            case 'pixelate':
+                this.pixelateRegion(ctx, op);
+                break;
+        }
+
+        ctx.restore();
+    }
+
+    drawSelectionOutline(ctx, op) {
+        ctx.save();
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#ffffff';
+        ctx.strokeRect(op.x, op.y, op.width, op.height);
+        ctx.strokeStyle = '#000000';
+        ctx.lineDashOffset = 5;
+        ctx.strokeRect(op.x, op.y, op.width, op.height);
+        ctx.restore();
+    }
+
+    // Copy the region (plus a margin, so edges blur too) and draw it back blurred
+    blurRegion(ctx, op) {
+        if (op.width < 1 || op.height < 1) return;
+
+        const margin = 20;
+        const region = document.createElement('canvas');
+        region.width = op.width + margin * 2;
+        region.height = op.height + margin * 2;
+        region.getContext('2d').drawImage(ctx.canvas, op.x - margin, op.y - margin, region.width, region.height, 0, 0, region.width, region.height);
+
+        ctx.beginPath();
+        ctx.rect(op.x, op.y, op.width, op.height);
+        ctx.clip();
+        ctx.filter = 'blur(12px)';
+        ctx.drawImage(region, op.x - margin, op.y - margin);
+    }
+
+    // Scale the region down and back up without smoothing
+    pixelateRegion(ctx, op) {
+        if (op.width < 1 || op.height < 1) return;
+
+        const blockSize = 12;
+        const small = document.createElement('canvas');
+        small.width = Math.max(1, Math.ceil(op.width / blockSize));
+        small.height = Math.max(1, Math.ceil(op.height / blockSize));
+        small.getContext('2d').drawImage(ctx.canvas, op.x, op.y, op.width, op.height, 0, 0, small.width, small.height);
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(small, 0, 0, small.width, small.height, op.x, op.y, op.width, op.height);
+    }
+
+    // Mouse position in image coordinates
+    toImagePoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const crop = this.getCrop();
+        const x = (event.clientX - rect.left) * (this.canvas.width / rect.width) + crop.x;
+        const y = (event.clientY - rect.top) * (this.canvas.height / rect.height) + crop.y;
+
+        return {
+            x: Math.round(Math.max(crop.x, Math.min(x, crop.x + crop.width))),
+            y: Math.round(Math.max(crop.y, Math.min(y, crop.y + crop.height)))
+        };
+    }
+
+    onMouseDown(event) {
+        if (!this.image || event.button !== 0) return;
+        event.preventDefault();
+
+        const point = this.toImagePoint(event);
+
+        if (this.tool === 'text') {
+            const text = prompt('Text to add:');
+            if (text) {
+                this.commit({
+                    type: 'text',
+                    x: point.x,
+                    y: point.y,
+                    text: text,
+                    color: this.color,
+                    fontSize: Math.max(12, this.lineWidth * 5)
+                });
+            }
+            return;
+        }
+
+        this.dragStart = point;
+        this.draft = this.createOperation(point, point);
+        this.render();
+    }
+
+    onMouseMove(event) {
+        if (!this.draft) return;
+        this.draft = this.createOperation(this.dragStart, this.toImagePoint(event));
+        this.render();
+    }
+
+    onMouseUp(event) {
+        if (!this.draft) return;
+
+        const op = this.createOperation(this.dragStart, this.toImagePoint(event));
+        this.draft = null;
+
+        // Ignore clicks that did not draw anything
+        const size = op.type === 'arrow' ? Math.hypot(op.x2 - op.x1, op.y2 - op.y1) : Math.min(op.width, op.height);
+        if (size < 3) {
+            this.render();
+            return;
+        }
+
+        this.commit(op);
+    }
+
+    createOperation(start, end) {
+        if (this.tool === 'arrow') {
+            return { type: 'arrow', x1: start.x, y1: start.y, x2: end.x, y2: end.y, color: this.color, lineWidth: this.lineWidth };
+        }
+
+        return {
+            type: this.tool,
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y),
+            color: this.color,
+            lineWidth: this.lineWidth
+        };
+    }
+
+    // Final image with annotations and crop applied, as a PNG blob
+    toBlob() {
+        const crop = this.getCrop();
+        const output = document.createElement('canvas');
+        output.width = crop.width;
+        output.height = crop.height;
+        output.getContext('2d').drawImage(this.committed, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+        return new Promise(resolve => output.toBlob(resolve, 'image/png'));
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const status = document.getElementById('status');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const saveBtn = document.getElementById('saveBtn');
+    const exportFormat = document.getElementById('exportFormat');
+    disableUnsupportedFormats(exportFormat);
+
+    const editor = new AnnotationEditor(document.getElementById('editorCanvas'));
+    let captureOptions = {};
+
+    function showStatus(message, type = 'info') {
+        status.textContent = message;
+        status.className = `status ${type}`;
+    }
+
+    editor.onChange = () => {
+        undoBtn.disabled = editor.operations.length === 0;
+        redoBtn.disabled = editor.redoStack.length === 0;
+    };
+
+    document.querySelectorAll('[data-tool]').forEach(button => {
+        button.addEventListener('click', () => {
+            document.querySelectorAll('[data-tool]').forEach(other => other.classList.remove('active'));
+            button.classList.add('active');
+            editor.tool = button.dataset.tool;
+        });
+    });
+
+    document.getElementById('color').addEventListener('input', event => {
+        editor.color = event.target.value;
+    });
+
+    document.getElementById('lineWidth').addEventListener('input', event => {
+        editor.lineWidth = Math.max(1, parseInt(event.target.value, 10) || 1);
+    });
+
+    undoBtn.addEventListener('click', () => editor.undo());
+    redoBtn.addEventListener('click', () => editor.redo());
+
+    document.addEventListener('keydown', event => {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+        event.preventDefault();
+        if (event.shiftKey) {
+            editor.redo();
+        } else {
+            editor.undo();
+        }
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        let imageUrl = null;
+
+        try {
+            saveBtn.disabled = true;
+            showStatus('Saving...', 'info');
+
+            // Export through the background so PNG/JPG/PDF use the regular output path. The
+            // image goes as a blob URL, which stays valid until this page revokes it.
+            imageUrl = URL.createObjectURL(await editor.toBlob());
+            const response = await chrome.runtime.sendMessage({
+                action: 'exportImage',
+                url: imageUrl,
+                options: { ...captureOptions, format: exportFormat.value }
+            });
+
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Failed to save image');
+            }
+
+            showStatus(`Saved ${response.filename}`, 'success');
+        } catch (error) {
+            console.error('Editor save error:', error);
+            showStatus(`Error: ${error.message}`, 'error');
+        } finally {
+            if (imageUrl) {
+                URL.revokeObjectURL(imageUrl);
+            }
+            saveBtn.disabled = false;
+        }
+    });
+
+    try {
+        const editorId = new URLSearchParams(window.location.search).get('id');
+        const response = await chrome.runtime.sendMessage({ action: 'getEditorImage', id: editorId });
+
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'Capture not found');
+        }
+
+        captureOptions = response.options || {};
+        if (captureOptions.format && canEncodeImageFormat(captureOptions.format)) {
+            exportFormat.value = captureOptions.format;
+        }
+
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('Failed to load capture'));
+            image.src = response.url;
+        });
+
+        editor.load(image);
+        chrome.runtime.sendMessage({ action: 'releaseEditorImage', id: editorId }).catch(() => {});
+        showStatus(`${image.naturalWidth}x${image.naturalHeight} capture loaded. Draw on the image, then save.`, 'info');
+    } catch (error) {
+        console.error('Editor load error:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+        saveBtn.disabled = true;
+    }
+});
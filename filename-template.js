@@ -0,0 +1,80 @@
+// Filenames of saved captures, built from a template such as
+// `{hostname}/{date}/{title}_{time}`. Shared by the background script, which names
+// the output, and the popup, which shows a preview.
+// A `/` in the template creates folders below Downloads.
+
+const DEFAULT_FILENAME_TEMPLATE = 'screenshot_{date}_{time}';
+
+// Tokens that can be used in a template
+const FILENAME_TOKENS = ['title', 'hostname', 'path', 'date', 'time', 'width', 'height', 'preset'];
+
+// Longest folder or file name kept, before the extension and tile suffixes are added
+const FILENAME_MAX_SEGMENT_LENGTH = 120;
+
+// Names Windows refuses for files and folders, whatever the extension
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+class FilenameTemplate {
+    // Token values for a capture. `context` has the page `title` and `url`, the
+    // output `width` and `height` in pixels, the `preset` name and the capture `date`.
+    getValues(context) {
+        const date = context.date || new Date();
+        const pad = value => String(value).padStart(2, '0');
+        let hostname = '';
+        let path = '';
+
+        try {
+            const url = new URL(context.url);
+            hostname = url.hostname;
+            path = url.pathname.replace(/^\/+|\/+$/g, '');
+        } catch (error) {
+            // Exported images and diffs have no page URL
+        }
+
+        return {
+            title: context.title || '',
+            hostname: hostname,
+            path: path,
+            date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+            width: context.width || '',
+            height: context.height || '',
+            preset: context.preset || ''
+        };
+    }
+
+    // Fill in a template and split it into a folder (possibly empty) and a file name
+    // without extension. Unknown tokens are kept as written.
+    render(template, context) {
+        const values = this.getValues(context);
+
+        // Slashes in values (titles, URL paths) must not create folders
+        const filled = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{(\w+)\}/g, (match, token) => {
+            return FILENAME_TOKENS.includes(token) ? String(values[token]).replace(/[\\/]+/g, '_') : match;
+        });
+
+        const segments = filled.split(/[\\/]+/)
+            .map(segment => this.sanitizeSegment(segment, ''))
+            .filter(Boolean);
+        const name = segments.pop() || 'screenshot';
+
+        return { folder: segments.join('/'), name: name };
+    }
+
+    // Make a name safe to use as one folder or file name in a download path
+    sanitizeSegment(segment, fallback = 'capture') {
+        let sanitized = String(segment)
+            .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_')
+            .replace(/\s+/g, ' ')
+            .slice(0, FILENAME_MAX_SEGMENT_LENGTH)
+            .replace(/^[.\s]+|[.\s]+$/g, '');
+
+        if (RESERVED_FILENAMES.test(sanitized)) {
+            sanitized = `_${sanitized}`;
+        }
+
+        return sanitized || fallback;
+    }
+}
+
+const filenameTemplate = new FilenameTemplate();
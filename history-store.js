@@ -0,0 +1,157 @@
+// Local history of saved captures, kept in IndexedDB.
+// Shared by the background script, which records every save, and the history and
+// compare pages. Entries hold metadata and a thumbnail; the saved files are stored
+// separately so listing the history stays fast.
+
+const HISTORY_DB_NAME = 'capture-history';
+const HISTORY_DB_VERSION = 1;
+
+// Used until the user changes them on the history page
+const DEFAULT_HISTORY_SETTINGS = {
+    enabled: true,
+    quotaMB: 500
+};
+
+class HistoryStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const captures = db.createObjectStore('captures', { keyPath: 'id' });
+                    captures.createIndex('timestamp', 'timestamp');
+                    db.createObjectStore('files', { keyPath: 'id' });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    // Run `callback(stores)` in one transaction and resolve with its result once committed
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => transaction.objectStore(name));
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+
+            Promise.resolve(callback(...stores)).then(value => {
+                result = value;
+            }, error => {
+                transaction.abort();
+                reject(error);
+            });
+        });
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getSettings() {
+        const { historySettings } = await chrome.storage.local.get('historySettings');
+        return { ...DEFAULT_HISTORY_SETTINGS, ...historySettings };
+    }
+
+    async saveSettings(settings) {
+        const saved = { ...(await this.getSettings()), ...settings };
+        await chrome.storage.local.set({ historySettings: saved });
+        return saved;
+    }
+
+    // Store a capture. `files` are `{ filename, blob }`; the entry gets an ID and
+    // its total size, then old entries are pruned to stay within the quota.
+    async addCapture(entry, files) {
+        const capture = {
+            ...entry,
+            id: `capture-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: entry.timestamp || Date.now(),
+            filenames: files.map(file => file.filename),
+            size: files.reduce((total, file) => total + file.blob.size, 0)
+        };
+
+        await this.transaction(['captures', 'files'], 'readwrite', (captures, fileStore) => {
+            captures.put(capture);
+            fileStore.put({ id: capture.id, files });
+        });
+
+        const settings = await this.getSettings();
+        await this.prune(settings.quotaMB * 1024 * 1024);
+
+        return capture;
+    }
+
+    // Newest first
+    async listCaptures() {
+        const captures = await this.transaction(['captures'], 'readonly', store => this.request(store.getAll()));
+        return captures.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    async getCapture(id) {
+        return await this.transaction(['captures'], 'readonly', store => this.request(store.get(id))) || null;
+    }
+
+    async getFiles(id) {
+        const record = await this.transaction(['files'], 'readonly', store => this.request(store.get(id)));
+        if (!record) {
+            throw new Error('Capture files are no longer stored');
+        }
+        return record.files;
+    }
+
+    async deleteCapture(id) {
+        await this.transaction(['captures', 'files'], 'readwrite', (captures, files) => {
+            captures.delete(id);
+            files.delete(id);
+        });
+    }
+
+    async getTotalSize() {
+        const captures = await this.listCaptures();
+        return captures.reduce((total, capture) => total + (capture.size || 0), 0);
+    }
+
+    // Delete the oldest captures until the history fits in `quotaBytes`.
+    // Returns the number of captures deleted.
+    async prune(quotaBytes) {
+        const captures = await this.listCaptures();
+        let total = captures.reduce((sum, capture) => sum + (capture.size || 0), 0);
+        let deleted = 0;
+
+        // The newest capture is always kept, even when it alone exceeds the quota
+        for (let i = captures.length - 1; i > 0 && total > quotaBytes; i--) {
+            await this.deleteCapture(captures[i].id);
+            total -= captures[i].size || 0;
+            deleted++;
+        }
+
+        if (deleted > 0) {
+            console.log(`Pruned ${deleted} capture(s) from history to stay within ${Math.round(quotaBytes / 1048576)} MB`);
+        }
+
+        return deleted;
+    }
+}
+
+const historyStore = new HistoryStore();
@@ -0,0 +1,260 @@
+// Capture history page. Lists the captures kept by historyStore and lets them be
+// downloaded again, exported in another format, copied, compared or deleted.
+
+// Formats that are stored as a single image and can be copied or re-exported
+const IMAGE_FORMATS = ['png', 'jpg', 'jpeg', 'webp', 'avif'];
+
+function formatBytes(bytes) {
+    if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+// The clipboard only accepts PNG images
+async function toPngBlob(blob) {
+    if (blob.type === 'image/png') {
+        return blob;
+    }
+
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return await new Promise((resolve, reject) => {
+        canvas.toBlob(png => png ? resolve(png) : reject(new Error('Failed to convert image to PNG')), 'image/png');
+    });
+}
+
+function isSingleImage(capture) {
+    return capture.tileCount === 1 && IMAGE_FORMATS.includes(capture.format);
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const status = document.getElementById('status');
+    const search = document.getElementById('search');
+    const formatFilter = document.getElementById('formatFilter');
+    const gallery = document.getElementById('gallery');
+    const usage = document.getElementById('usage');
+    const historyEnabled = document.getElementById('historyEnabled');
+    const quotaMB = document.getElementById('quotaMB');
+    const compareBtn = document.getElementById('compareBtn');
+    const template = document.getElementById('captureTemplate');
+
+    let captures = [];
+    const selected = new Set();
+    disableUnsupportedFormats(template.content.querySelector('.export-format'));
+
+    function showStatus(message, type = 'info') {
+        status.textContent = message;
+        status.className = `status ${type}`;
+    }
+
+    function updateCompareButton() {
+        compareBtn.disabled = selected.size !== 2;
+        compareBtn.textContent = selected.size === 2 ? 'Compare Selected' : `Select two captures to compare (${selected.size}/2)`;
+    }
+
+    function matchesFilter(capture) {
+        const query = search.value.trim().toLowerCase();
+        const format = formatFilter.value;
+
+        if (format && capture.format !== format) {
+            return false;
+        }
+
+        return !query || [capture.title, capture.url, ...(capture.filenames || [])]
+            .some(text => (text || '').toLowerCase().includes(query));
+    }
+
+    async function refresh() {
+        captures = await historyStore.listCaptures();
+
+        // Forget selections of captures that were deleted or pruned
+        Array.from(selected).forEach(id => {
+            if (!captures.some(capture => capture.id === id)) selected.delete(id);
+        });
+
+        const settings = await historyStore.getSettings();
+        const total = captures.reduce((sum, capture) => sum + (capture.size || 0), 0);
+        usage.textContent = `${captures.length} capture${captures.length === 1 ? '' : 's'}, ${formatBytes(total)} of ${settings.quotaMB} MB used`;
+
+        render();
+    }
+
+    function render() {
+        const visible = captures.filter(matchesFilter);
+        gallery.innerHTML = '';
+
+        if (visible.length === 0) {
+            gallery.textContent = captures.length === 0 ? 'No captures yet. Saved captures appear here.' : 'No captures match the search.';
+        }
+
+        visible.forEach(capture => {
+            const card = template.content.firstElementChild.cloneNode(true);
+            const thumbnail = card.querySelector('.thumbnail');
+            const link = card.querySelector('.url');
+
+            if (capture.thumbnail) {
+                thumbnail.src = capture.thumbnail;
+            }
+            thumbnail.alt = capture.title;
+            card.querySelector('.title').textContent = capture.title;
+            link.textContent = capture.url;
+            link.href = capture.url || '#';
+            card.querySelector('.meta').textContent = [
+                new Date(capture.timestamp).toLocaleString(),
+                `${capture.width}x${capture.height}`,
+                capture.tileCount > 1 ? `${capture.tileCount} tiles` : '',
+                capture.format.toUpperCase(),
+                formatBytes(capture.size || 0)
+            ].filter(Boolean).join(' · ');
+
+            const select = card.querySelector('.select');
+            select.checked = selected.has(capture.id);
+            select.disabled = !isSingleImage(capture);
+            select.title = select.disabled ? 'Only single PNG, JPG or WebP captures can be compared' : 'Select for comparison';
+            select.addEventListener('change', () => {
+                if (select.checked) {
+                    selected.add(capture.id);
+                } else {
+                    selected.delete(capture.id);
+                }
+                updateCompareButton();
+            });
+
+            const exportFormat = card.querySelector('.export-format');
+            exportFormat.value = capture.format === 'pdf' ? 'png' : 'pdf';
+
+            card.querySelector('.download').addEventListener('click', () => downloadCapture(capture));
+            card.querySelector('.export').addEventListener('click', () => exportCapture(capture, exportFormat.value));
+            card.querySelector('.copy').addEventListener('click', () => copyCapture(capture));
+            card.querySelector('.delete').addEventListener('click', () => deleteCapture(capture));
+
+            // PDFs and tiled captures can only be downloaded again
+            if (!isSingleImage(capture)) {
+                card.querySelector('.export').disabled = true;
+                card.querySelector('.copy').disabled = true;
+                exportFormat.disabled = true;
+            }
+
+            gallery.appendChild(card);
+        });
+
+        updateCompareButton();
+    }
+
+    async function downloadCapture(capture) {
+        try {
+            const files = await historyStore.getFiles(capture.id);
+
+            for (const file of files) {
+                const url = URL.createObjectURL(file.blob);
+                await chrome.downloads.download({ url, filename: file.filename, saveAs: files.length === 1 });
+                setTimeout(() => URL.revokeObjectURL(url), 60000);
+            }
+
+            showStatus(`Downloading ${files.length === 1 ? files[0].filename : `${files.length} files`}`);
+        } catch (error) {
+            showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    // Re-encode through the background so every format is written by the same code
+    async function exportCapture(capture, format) {
+        let imageUrl = null;
+
+        try {
+            showStatus(`Exporting as ${format.toUpperCase()}...`);
+            const [file] = await historyStore.getFiles(capture.id);
+
+            imageUrl = URL.createObjectURL(file.blob);
+            const response = await chrome.runtime.sendMessage({
+                action: 'exportImage',
+                url: imageUrl,
+                options: {
+                    ...DEFAULT_OPTIONS,
+                    ...capture.options,
+                    format: format,
+                    captureSource: { url: capture.url, title: capture.title }
+                }
+            });
+
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Export failed');
+            }
+
+            showStatus(`Saved ${response.filename}`);
+            await refresh();
+        } catch (error) {
+            showStatus(`Error: ${error.message}`, 'error');
+        } finally {
+            if (imageUrl) {
+                URL.revokeObjectURL(imageUrl);
+            }
+        }
+    }
+
+    async function copyCapture(capture) {
+        try {
+            const [file] = await historyStore.getFiles(capture.id);
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': await toPngBlob(file.blob) })]);
+            showStatus('Copied to the clipboard');
+        } catch (error) {
+            showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    async function deleteCapture(capture) {
+        if (!confirm(`Delete "${capture.title}" from the history? Downloaded files are not affected.`)) return;
+
+        try {
+            await historyStore.deleteCapture(capture.id);
+            showStatus('Capture deleted');
+            await refresh();
+        } catch (error) {
+            showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    search.addEventListener('input', render);
+    formatFilter.addEventListener('change', render);
+
+    compareBtn.addEventListener('click', () => {
+        // The older capture is the "before" side
+        const [after, before] = captures.filter(capture => selected.has(capture.id));
+        chrome.tabs.create({ url: chrome.runtime.getURL(`compare.html?before=${before.id}&after=${after.id}`) });
+    });
+
+    historyEnabled.addEventListener('change', async () => {
+        await historyStore.saveSettings({ enabled: historyEnabled.checked });
+        showStatus(historyEnabled.checked ? 'New captures are kept in the history' : 'New captures are no longer kept');
+    });
+
+    quotaMB.addEventListener('change', async () => {
+        const quota = Math.max(10, parseInt(quotaMB.value, 10) || DEFAULT_HISTORY_SETTINGS.quotaMB);
+        quotaMB.value = quota;
+
+        await historyStore.saveSettings({ quotaMB: quota });
+        const deleted = await historyStore.prune(quota * 1024 * 1024);
+        showStatus(deleted > 0 ? `Deleted ${deleted} old capture${deleted === 1 ? '' : 's'} to fit the new limit` : 'Storage limit saved');
+        await refresh();
+    });
+
+    // Captures saved while this page is in the background show up when it is revisited
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') refresh();
+    });
+
+    try {
+        const settings = await historyStore.getSettings();
+        historyEnabled.checked = settings.enabled;
+        quotaMB.value = settings.quotaMB;
+        await refresh();
+    } catch (error) {
+        console.error('History load error:', error);
+        showStatus(`Error: ${error.message}`, 'error');
+    }
+});
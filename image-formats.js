@@ -0,0 +1,46 @@
+// Image output formats and their MIME types. Shared by the offscreen document, which
+// encodes captures, and the extension pages that offer a choice of format.
+
+const IMAGE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+// Formats where the quality setting applies. PDF pages are embedded as JPEG.
+const LOSSY_FORMATS = ['jpg', 'webp', 'avif', 'pdf'];
+
+function getImageMimeType(format) {
+    return IMAGE_MIME_TYPES[format] || IMAGE_MIME_TYPES.png;
+}
+
+// Canvas encoders silently return PNG for types they cannot write, so try one pixel
+function canEncodeImageFormat(format) {
+    if (format === 'png' || format === 'pdf') {
+        return true;
+    }
+
+    if (!IMAGE_MIME_TYPES[format]) {
+        return false;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    return canvas.toDataURL(IMAGE_MIME_TYPES[format]).startsWith(`data:${IMAGE_MIME_TYPES[format]}`);
+}
+
+// Disable the options of a format select that this browser cannot encode
+function disableUnsupportedFormats(select) {
+    Array.from(select.options).forEach(option => {
+        if (option.value && !canEncodeImageFormat(option.value)) {
+            option.disabled = true;
+            option.textContent += ' (not supported)';
+        }
+    });
+
+    if (select.selectedOptions[0] && select.selectedOptions[0].disabled) {
+        select.value = 'png';
+    }
+}
@@ -0,0 +1,674 @@
+// Offscreen document that stitches captured segments into the final output file.
+// Segments are streamed here from the background script as they are captured,
+// so the page being captured is never used for image processing. Output files are
+// handed back as blob URLs, since message responses are limited to 64 MiB.
+
+// Most browsers cap canvas dimensions at 32,767 pixels
+const MAX_CANVAS_SIZE = 32767;
+
+// Chrome also caps the total canvas area (16384 x 16384 pixels)
+const MAX_CANVAS_AREA = 268435456;
+
+// Largest thumbnail kept in the capture history; tall pages show their top part
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_MAX_HEIGHT = 400;
+
+// Seam matching between overlapping segments, in CSS pixels: height of the strip that
+// is matched, and how far a segment may be off its expected position
+const SEAM_STRIP_HEIGHT = 24;
+const SEAM_MAX_SHIFT = 32;
+
+// Columns compared per row; wide captures are sampled
+const SEAM_SAMPLE_COLUMNS = 512;
+
+// Average difference per color channel (0-255) below which rows count as equal, and
+// the variation a strip needs to be matched at all (blank areas match anywhere)
+const SEAM_MATCH_DIFFERENCE = 12;
+const SEAM_DUPLICATE_DIFFERENCE = 2;
+const SEAM_MIN_DETAIL = 4;
+
+// Repeated strips shorter than this, in CSS pixels, are not reported
+const SEAM_MIN_DUPLICATE = 4;
+
+class SegmentStitcher {
+    constructor() {
+        this.jobs = new Map();
+        this.fileUrls = new Set();
+    }
+
+    // Start a stitch job. The layout is the captured area in CSS pixels plus the
+    // device pixel ratio; without one, the first segment defines the output size.
+    begin(jobId, layout = null) {
+        this.discard(jobId);
+
+        const job = { tiles: [], layout: null, segmentCount: 0, seams: [], text: new Map(), links: new Map() };
+        this.jobs.set(jobId, job);
+
+        if (layout && layout.width && layout.height) {
+            this.createTiles(job, layout);
+        }
+    }
+
+    // Split the output into as few canvases as the browser limits allow, so very
+    // long pages keep full resolution instead of being scaled down
+    createTiles(job, layout) {
+        const scale = layout.scale || 1;
+        const totalWidth = Math.floor(layout.width * scale);
+        const totalHeight = Math.floor(layout.height * scale);
+
+        const tileWidth = Math.min(totalWidth, MAX_CANVAS_SIZE);
+        const tileHeight = Math.min(totalHeight, MAX_CANVAS_SIZE, Math.floor(MAX_CANVAS_AREA / tileWidth));
+        const columns = Math.ceil(totalWidth / tileWidth);
+        const rows = Math.ceil(totalHeight / tileHeight);
+
+        console.log('Canvas dimensions:', { totalWidth, totalHeight, columns, rows });
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x = column * tileWidth;
+                const y = row * tileHeight;
+
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.min(tileWidth, totalWidth - x);
+                canvas.height = Math.min(tileHeight, totalHeight - y);
+
+                const ctx = canvas.getContext('2d');
+                if (!ctx) {
+                    throw new Error('Failed to get canvas 2D context');
+                }
+
+                job.tiles.push({ canvas, ctx, x, y, column, row });
+            }
+        }
+
+        job.layout = {
+            x: layout.x || 0,
+            y: layout.y || 0,
+            width: layout.width,
+            height: layout.height,
+            scale,
+            pixelWidth: totalWidth,
+            pixelHeight: totalHeight
+        };
+    }
+
+    // Draw one captured viewport at its page position. A segment with an `overlap` (CSS
+    // pixels shared with the segment above) is first moved to where its content matches
+    // what is already stitched. Returns that correction in CSS pixels.
+    async addSegment(jobId, segment) {
+        const job = this.getJob(jobId);
+
+        // Captures are data URLs; images exported by extension pages are blob URLs
+        const image = segment && segment.dataUrl;
+        if (!image || !(image.startsWith('data:image/') || image.startsWith(`blob:${location.origin}/`))) {
+            throw new Error('Invalid segment image data');
+        }
+
+        const img = await this.loadImage(segment.dataUrl);
+
+        if (job.tiles.length === 0) {
+            this.createTiles(job, { width: img.naturalWidth, height: img.naturalHeight, scale: 1 });
+        }
+
+        const { x: originX, y: originY, scale } = job.layout;
+
+        // Image pixels per CSS pixel of the captured window
+        const ratio = img.naturalWidth / (segment.windowWidth || segment.viewportWidth || img.naturalWidth / scale);
+
+        // Part of the image that shows the scroll target, in window CSS pixels
+        const clip = segment.clip || { x: 0, y: 0, width: img.naturalWidth / ratio, height: img.naturalHeight / ratio };
+
+        const destX = ((segment.pageX || 0) - originX) * scale;
+        let destY = ((segment.pageY || 0) - originY) * scale;
+        const destWidth = clip.width * scale;
+        const destHeight = clip.height * scale;
+        const source = { x: clip.x * ratio, y: clip.y * ratio, width: clip.width * ratio, height: clip.height * ratio };
+
+        let offset = 0;
+        if (segment.overlap > 0) {
+            offset = this.findSegmentOffset(job, img, source, { x: destX, y: destY, width: destWidth, height: destHeight }, segment.overlap * scale);
+            destY += offset;
+            job.seams.push({ x: destX, y: destY, width: destWidth });
+
+            if (offset !== 0) {
+                console.log(`Moved segment at page y=${segment.pageY} by ${offset / scale}px to match its neighbor`);
+            }
+        }
+
+        // A segment can straddle tile boundaries; each tile clips its own part
+        job.tiles.forEach(tile => {
+            if (destX < tile.x + tile.canvas.width && destX + destWidth > tile.x &&
+                destY < tile.y + tile.canvas.height && destY + destHeight > tile.y) {
+                tile.ctx.drawImage(
+                    img,
+                    source.x, source.y, source.width, source.height,
+                    destX - tile.x, destY - tile.y, destWidth, destHeight
+                );
+            }
+        });
+
+        job.segmentCount++;
+        return { offset: offset / scale };
+    }
+
+    // Find how far a segment is off its expected position by sliding a strip from the
+    // bottom of its overlap over the stitched rows above. Layout shifts, sub-pixel
+    // scrolling and pixel ratio rounding move segments by a few pixels. Returns the
+    // correction in output pixels, or 0 when the strip is blank or matches nowhere.
+    findSegmentOffset(job, img, source, dest, overlap) {
+        const scale = job.layout.scale;
+        const stripHeight = Math.min(Math.round(SEAM_STRIP_HEIGHT * scale), Math.floor(overlap / 3));
+        const maxShift = Math.min(Math.round(SEAM_MAX_SHIFT * scale), Math.floor((overlap - stripHeight) / 2));
+        const x = Math.round(dest.x);
+        const width = Math.min(Math.round(dest.width), job.layout.pixelWidth - x);
+
+        if (stripHeight < 1 || maxShift < 1 || width < 1) {
+            return 0;
+        }
+
+        // The strip sits at the bottom of the overlap, far from fixed headers, with room
+        // to slide up and down within the stitched part
+        const stripTop = Math.floor(overlap) - maxShift - stripHeight;
+        const bandTop = Math.round(dest.y) + stripTop - maxShift;
+        const bandHeight = stripHeight + 2 * maxShift;
+        if (bandTop < 0) {
+            return 0;
+        }
+
+        const strip = this.readPixels(width, stripHeight, ctx => {
+            ctx.drawImage(img, source.x, source.y, source.width, source.height, 0, -stripTop, dest.width, dest.height);
+        });
+        const band = this.readPixels(width, bandHeight, ctx => this.drawRegion(job, ctx, x, bandTop, width, bandHeight));
+
+        if (this.measureDetail(strip, width, stripHeight) < SEAM_MIN_DETAIL) {
+            return 0;
+        }
+
+        let best = 0;
+        let bestDifference = Infinity;
+        let expectedDifference = Infinity;
+
+        for (let shift = -maxShift; shift <= maxShift; shift++) {
+            const difference = this.compareRows(strip, 0, band, maxShift + shift, width, stripHeight);
+            if (shift === 0) {
+                expectedDifference = difference;
+            }
+            if (difference < bestDifference) {
+                best = shift;
+                bestDifference = difference;
+            }
+        }
+
+        // Keep the expected position unless another one clearly matches better
+        if (bestDifference > SEAM_MATCH_DIFFERENCE || expectedDifference <= bestDifference + 0.5) {
+            return 0;
+        }
+
+        return best;
+    }
+
+    // Look for rows repeated right across each seam, which alignment did not fix, e.g.
+    // because the page moved between two segments. Positions are in page CSS pixels.
+    checkSeams(jobId) {
+        const job = this.getJob(jobId);
+        const { x: originX, y: originY, scale, pixelWidth, pixelHeight } = job.layout || {};
+        const stripHeight = Math.round(SEAM_STRIP_HEIGHT * scale);
+        const minRepeat = Math.round(SEAM_MIN_DUPLICATE * scale);
+        const duplicatedRows = [];
+
+        job.seams.forEach(seam => {
+            const y = Math.round(seam.y);
+            const x = Math.round(seam.x);
+            const width = Math.min(Math.round(seam.width), pixelWidth - x);
+            const maxRepeat = Math.min(Math.round(SEAM_MAX_SHIFT * scale), y);
+
+            if (width < 1 || maxRepeat < minRepeat || y + stripHeight > pixelHeight) {
+                return;
+            }
+
+            // Rows from `maxRepeat` above the seam down to a strip below it
+            const height = maxRepeat + stripHeight;
+            const rows = this.readPixels(width, height, ctx => this.drawRegion(job, ctx, x, y - maxRepeat, width, height));
+
+            // The rows below the seam repeating the rows `repeat` pixels above them.
+            // Blank rows repeat everywhere and say nothing.
+            for (let repeat = minRepeat; repeat <= maxRepeat; repeat++) {
+                const compared = Math.min(repeat, stripHeight);
+                const below = rows.subarray(maxRepeat * width * 4, (maxRepeat + compared) * width * 4);
+
+                if (this.measureDetail(below, width, compared) >= SEAM_MIN_DETAIL &&
+                    this.compareRows(rows, maxRepeat, rows, maxRepeat - repeat, width, compared) < SEAM_DUPLICATE_DIFFERENCE) {
+                    duplicatedRows.push({ x: originX + x / scale, y: originY + y / scale, height: repeat / scale });
+                    break;
+                }
+            }
+        });
+
+        return { duplicatedRows };
+    }
+
+    // Pixels of a width x height area drawn by `draw`
+    readPixels(width, height, draw) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        draw(ctx);
+        return ctx.getImageData(0, 0, width, height).data;
+    }
+
+    // Average difference per color channel between `rows` rows of two pixel arrays of
+    // the same width, starting at the given rows. Wide rows are sampled.
+    compareRows(a, rowA, b, rowB, width, rows) {
+        const step = Math.max(1, Math.floor(width / SEAM_SAMPLE_COLUMNS));
+        let total = 0;
+        let count = 0;
+
+        for (let row = 0; row < rows; row++) {
+            const offsetA = (rowA + row) * width * 4;
+            const offsetB = (rowB + row) * width * 4;
+
+            for (let column = 0; column < width; column += step) {
+                const i = column * 4;
+                total += Math.abs(a[offsetA + i] - b[offsetB + i]) +
+                    Math.abs(a[offsetA + i + 1] - b[offsetB + i + 1]) +
+                    Math.abs(a[offsetA + i + 2] - b[offsetB + i + 2]);
+                count += 3;
+            }
+        }
+
+        return count > 0 ? total / count : Infinity;
+    }
+
+    // Average distance of sampled pixels from their mean brightness; low for blank areas
+    measureDetail(pixels, width, height) {
+        const step = Math.max(1, Math.floor(width / SEAM_SAMPLE_COLUMNS));
+        const values = [];
+
+        for (let row = 0; row < height; row++) {
+            for (let column = 0; column < width; column += step) {
+                const i = (row * width + column) * 4;
+                values.push((pixels[i] + pixels[i + 1] + pixels[i + 2]) / 3);
+            }
+        }
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        return values.reduce((sum, value) => sum + Math.abs(value - mean), 0) / values.length;
+    }
+
+    // Keep page text and links, in page CSS pixels, for the text layer of PDF output.
+    // Segments overlap, so items seen before at the same position are skipped.
+    addText(jobId, text = [], links = []) {
+        const job = this.getJob(jobId);
+        const key = (label, item) => `${label}|${Math.round(item.x)}|${Math.round(item.y)}`;
+
+        text.forEach(item => job.text.set(key(item.text, item), item));
+        links.forEach(item => job.links.set(key(item.url, item), item));
+    }
+
+    // Size of the stitched output so far
+    info(jobId) {
+        const job = this.getJob(jobId);
+        return {
+            tileCount: job.tiles.length,
+            width: job.layout ? job.layout.pixelWidth : 0,
+            height: job.layout ? job.layout.pixelHeight : 0,
+            seamCount: job.seams.length
+        };
+    }
+
+    // Encode the stitched result and end the job. Returns the files to download:
+    // one file normally, or numbered tiles plus a JSON manifest for very long pages.
+    async finish(jobId, options, baseName, segments = []) {
+        const job = this.getJob(jobId);
+
+        try {
+            if (job.segmentCount === 0) {
+                throw new Error('No images were added to the stitch job');
+            }
+
+            const { pixelWidth, pixelHeight } = job.layout;
+
+            // Formats this browser cannot encode (AVIF in most builds) are saved as PNG
+            if (!canEncodeImageFormat(options.format)) {
+                console.warn(`Cannot encode ${options.format}, saving as PNG`);
+                options = { ...options, format: 'png' };
+            }
+
+            console.log(`Encoding ${job.segmentCount} stitched segment(s) in ${job.tiles.length} tile(s) as ${options.format}`);
+
+            // JPEG has no alpha channel; areas no segment covered would turn black
+            if (options.format === 'jpg') {
+                job.tiles.forEach(tile => this.flattenOntoWhite(tile));
+            }
+
+            const result = {
+                width: pixelWidth,
+                height: pixelHeight,
+                tileCount: job.tiles.length,
+                format: options.format,
+                origin: { x: job.layout.x, y: job.layout.y },
+                scale: job.layout.scale,
+                thumbnail: this.createThumbnail(job)
+            };
+
+            if (options.format === 'pdf') {
+                result.files = [{ filename: `${baseName}.pdf`, url: this.createFileUrl(await this.createPdf(job, options)) }];
+            } else if (job.tiles.length === 1) {
+                const blob = await this.canvasToBlob(job.tiles[0].canvas, getImageMimeType(options.format), options.quality);
+                result.files = [{ filename: `${baseName}.${options.format}`, url: this.createFileUrl(blob) }];
+            } else {
+                result.files = await this.createTiledOutput(job, options, baseName, segments);
+            }
+
+            return result;
+        } finally {
+            this.discard(jobId);
+        }
+    }
+
+    async createTiledOutput(job, options, baseName, segments) {
+        const { x: originX, y: originY, scale } = job.layout;
+        const digits = Math.max(2, String(job.tiles.length).length);
+        const mimeType = getImageMimeType(options.format);
+
+        const tileFiles = job.tiles.map((tile, index) => ({
+            tile,
+            filename: `${baseName}_part-${String(index + 1).padStart(digits, '0')}.${options.format}`
+        }));
+
+        const manifest = {
+            version: 1,
+            createdAt: new Date().toISOString(),
+            format: options.format,
+            page: {
+                x: originX,
+                y: originY,
+                width: job.layout.width,
+                height: job.layout.height,
+                devicePixelRatio: scale
+            },
+            tiles: tileFiles.map(({ tile, filename }, index) => ({
+                index: index + 1,
+                file: filename,
+                column: tile.column,
+                row: tile.row,
+                // Offsets in page CSS pixels, matching the segment metadata below
+                x: originX + tile.x / scale,
+                y: originY + tile.y / scale,
+                width: tile.canvas.width / scale,
+                height: tile.canvas.height / scale,
+                pixelWidth: tile.canvas.width,
+                pixelHeight: tile.canvas.height
+            })),
+            segments: segments.map(segment => ({
+                column: segment.x,
+                row: segment.y,
+                x: segment.pageX,
+                y: segment.pageY,
+                width: segment.width,
+                height: segment.height
+            }))
+        };
+
+        const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+        const manifestName = `${baseName}_manifest.json`;
+
+        if (options.tileOutput === 'zip') {
+            const zip = new ZipWriter();
+            for (const { tile, filename } of tileFiles) {
+                const blob = await this.canvasToBlob(tile.canvas, mimeType, options.quality);
+                zip.addFile(filename, new Uint8Array(await blob.arrayBuffer()));
+            }
+            zip.addFile(manifestName, manifestBytes);
+
+            return [{ filename: `${baseName}.zip`, url: this.createFileUrl(new Blob([zip.output()], { type: 'application/zip' })) }];
+        }
+
+        const files = [];
+        for (const { tile, filename } of tileFiles) {
+            files.push({ filename, url: this.createFileUrl(await this.canvasToBlob(tile.canvas, mimeType, options.quality)) });
+        }
+        files.push({ filename: manifestName, url: this.createFileUrl(new Blob([manifestBytes], { type: 'application/json' })) });
+
+        return files;
+    }
+
+    // Output files stay available to the background script, downloads and extension
+    // pages until released
+    createFileUrl(blob) {
+        const url = URL.createObjectURL(blob);
+        this.fileUrls.add(url);
+        return url;
+    }
+
+    releaseFiles(urls = []) {
+        urls.filter(url => this.fileUrls.has(url)).forEach(url => {
+            URL.revokeObjectURL(url);
+            this.fileUrls.delete(url);
+        });
+    }
+
+    discard(jobId) {
+        const job = this.jobs.get(jobId);
+        if (job) {
+            // Release the backing stores right away instead of waiting for GC
+            job.tiles.forEach(tile => {
+                tile.canvas.width = 0;
+                tile.canvas.height = 0;
+            });
+        }
+        this.jobs.delete(jobId);
+    }
+
+    // Copy a rectangle of the stitched output, which may span several tiles
+    drawRegion(job, ctx, sx, sy, width, height) {
+        job.tiles.forEach(tile => {
+            const left = Math.max(sx, tile.x);
+            const top = Math.max(sy, tile.y);
+            const right = Math.min(sx + width, tile.x + tile.canvas.width);
+            const bottom = Math.min(sy + height, tile.y + tile.canvas.height);
+
+            if (right > left && bottom > top) {
+                ctx.drawImage(
+                    tile.canvas,
+                    left - tile.x, top - tile.y, right - left, bottom - top,
+                    left - sx, top - sy, right - left, bottom - top
+                );
+            }
+        });
+    }
+
+    createThumbnail(job) {
+        const { pixelWidth, pixelHeight } = job.layout;
+        const scale = Math.min(1, THUMBNAIL_WIDTH / pixelWidth);
+        const sourceHeight = Math.min(pixelHeight, Math.floor(THUMBNAIL_MAX_HEIGHT / scale));
+
+        const region = document.createElement('canvas');
+        region.width = pixelWidth;
+        region.height = sourceHeight;
+        const regionCtx = region.getContext('2d');
+        regionCtx.fillStyle = '#ffffff';
+        regionCtx.fillRect(0, 0, pixelWidth, sourceHeight);
+        this.drawRegion(job, regionCtx, 0, 0, pixelWidth, sourceHeight);
+
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = Math.max(1, Math.round(pixelWidth * scale));
+        thumbnail.height = Math.max(1, Math.round(sourceHeight * scale));
+        thumbnail.getContext('2d').drawImage(region, 0, 0, thumbnail.width, thumbnail.height);
+
+        region.width = 0;
+        region.height = 0;
+
+        return thumbnail.toDataURL('image/jpeg', 0.7);
+    }
+
+    flattenOntoWhite(tile) {
+        tile.ctx.save();
+        tile.ctx.globalCompositeOperation = 'destination-over';
+        tile.ctx.fillStyle = '#ffffff';
+        tile.ctx.fillRect(0, 0, tile.canvas.width, tile.canvas.height);
+        tile.ctx.restore();
+    }
+
+    // Slice the output at page-height boundaries and write each slice as a PDF page,
+    // with the page text and links that fall on it
+    async createPdf(job, options) {
+        const { pixelWidth, pixelHeight, x: originX, y: originY, scale } = job.layout;
+        const writer = new PdfWriter(options);
+        const contentBox = writer.getContentBox();
+
+        // Text and link positions in output pixels
+        const toPixels = item => ({
+            ...item,
+            x: (item.x - originX) * scale,
+            y: (item.y - originY) * scale,
+            width: item.width * scale,
+            height: item.height * scale
+        });
+        const text = Array.from(job.text.values()).map(toPixels);
+        const links = Array.from(job.links.values()).map(toPixels);
+
+        // Height of one PDF page in image pixels once the image is scaled to the page width
+        const pageHeightPx = Math.max(1, Math.floor(contentBox.height * pixelWidth / contentBox.width));
+        const pageCount = Math.ceil(pixelHeight / pageHeightPx);
+
+        console.log(`Splitting ${pixelWidth}x${pixelHeight} image into ${pageCount} PDF page(s)`);
+
+        for (let page = 0; page < pageCount; page++) {
+            const offsetY = page * pageHeightPx;
+            const sliceHeight = Math.min(pageHeightPx, pixelHeight - offsetY);
+
+            const slice = document.createElement('canvas');
+            slice.width = pixelWidth;
+            slice.height = sliceHeight;
+
+            const ctx = slice.getContext('2d');
+
+            // JPEG has no alpha channel, so flatten transparent areas onto white
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, slice.width, sliceHeight);
+            this.drawRegion(job, ctx, 0, offsetY, pixelWidth, sliceHeight);
+
+            // Items belong to the page their middle is on
+            const onPage = item => item.y + item.height / 2 >= offsetY && item.y + item.height / 2 < offsetY + sliceHeight &&
+                item.x + item.width > 0 && item.x < pixelWidth;
+            const toSlice = item => ({ ...item, y: item.y - offsetY });
+
+            const jpegBlob = await this.canvasToBlob(slice, 'image/jpeg', options.quality);
+            writer.addJpegPage(new Uint8Array(await jpegBlob.arrayBuffer()), slice.width, sliceHeight, {
+                text: text.filter(onPage).map(toSlice),
+                links: links.filter(onPage).map(toSlice)
+            });
+        }
+
+        return new Blob([writer.output()], { type: 'application/pdf' });
+    }
+
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new Error(`Unknown stitch job: ${jobId}`);
+        }
+        return job;
+    }
+
+    loadImage(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const timeout = setTimeout(() => reject(new Error('Timeout loading segment image')), 10000);
+
+            img.onload = () => {
+                clearTimeout(timeout);
+                resolve(img);
+            };
+            img.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('Failed to load segment image'));
+            };
+
+            img.src = dataUrl;
+        });
+    }
+
+    canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Failed to encode canvas as ${type}`));
+                }
+            }, type, quality);
+        });
+    }
+}
+
+const segmentStitcher = new SegmentStitcher();
+
+// Write a PNG file URL to the clipboard. Chrome only allows this while the document
+// has focus, which an offscreen document may not get; the caller downloads on failure.
+async function copyImageToClipboard(url) {
+    const blob = await (await fetch(url)).blob();
+    window.focus();
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+    return {};
+}
+
+// Only handle messages addressed to the offscreen document
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'offscreen') {
+        return false;
+    }
+
+    let task;
+    switch (message.action) {
+        case 'beginStitch':
+            task = Promise.resolve().then(() => segmentStitcher.begin(message.jobId, message.layout));
+            break;
+
+        case 'addSegment':
+            task = segmentStitcher.addSegment(message.jobId, message.segment);
+            break;
+
+        case 'finishStitch':
+            task = segmentStitcher.finish(message.jobId, message.options, message.baseName, message.segments);
+            break;
+
+        case 'checkSeams':
+            task = Promise.resolve().then(() => segmentStitcher.checkSeams(message.jobId));
+            break;
+
+        case 'addText':
+            task = Promise.resolve().then(() => segmentStitcher.addText(message.jobId, message.text, message.links));
+            break;
+
+        case 'stitchInfo':
+            task = Promise.resolve().then(() => segmentStitcher.info(message.jobId));
+            break;
+
+        case 'copyImage':
+            task = copyImageToClipboard(message.url);
+            break;
+
+        case 'releaseFiles':
+            task = Promise.resolve().then(() => segmentStitcher.releaseFiles(message.urls));
+            break;
+
+        case 'discardStitch':
+            task = Promise.resolve().then(() => segmentStitcher.discard(message.jobId));
+            break;
+
+        default:
+            return false;
+    }
+
+    task.then(result => sendResponse({ success: true, ...result }))
+        .catch(error => {
+            console.error(`Offscreen ${message.action} failed:`, error);
+            sendResponse({ success: false, error: error.message });
+        });
+
+    return true; // Keep message channel open for async response
+});
@@ -0,0 +1,279 @@
+// Minimal PDF writer used to turn captured screenshots into real PDF files
+
+// Page sizes in PDF points (1/72 inch), portrait orientation
+const PDF_PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 },
+    legal: { width: 612, height: 1008 },
+    a3: { width: 841.89, height: 1190.55 }
+};
+
+// Half an inch on every side
+const PDF_PAGE_MARGIN = 36;
+
+// Entries per bfchar block of a ToUnicode CMap, the most the format allows
+const PDF_CMAP_BLOCK_SIZE = 100;
+
+class PdfWriter {
+    constructor(options = {}) {
+        const pageSize = PDF_PAGE_SIZES[options.pdfPageSize] || PDF_PAGE_SIZES.a4;
+        const landscape = options.pdfOrientation === 'landscape';
+
+        this.pageWidth = landscape ? pageSize.height : pageSize.width;
+        this.pageHeight = landscape ? pageSize.width : pageSize.height;
+        this.margin = PDF_PAGE_MARGIN;
+        this.encoder = new TextEncoder();
+        this.objects = [];
+        this.pageIds = [];
+
+        // Characters of the text layer, numbered in order of first use. The text is
+        // written as these numbers (Identity-H) and mapped back to Unicode for search.
+        this.characterIds = new Map();
+        this.fontId = null;
+
+        // Catalog and page tree are written last but need fixed object numbers
+        this.catalogId = this.reserveObject();
+        this.pagesId = this.reserveObject();
+    }
+
+    // Area of each page the image is drawn into, in points
+    getContentBox() {
+        return {
+            x: this.margin,
+            y: this.margin,
+            width: this.pageWidth - this.margin * 2,
+            height: this.pageHeight - this.margin * 2
+        };
+    }
+
+    // Add a page showing a JPEG image scaled to the content width and anchored to the top.
+    // `layer` has the `text` and `links` on the image, positioned in image pixels, which
+    // become invisible text for search and copy, and clickable link areas.
+    addJpegPage(jpegBytes, pixelWidth, pixelHeight, layer = {}) {
+        const box = this.getContentBox();
+        const drawWidth = box.width;
+        const drawHeight = pixelHeight * (box.width / pixelWidth);
+        const drawY = this.pageHeight - box.y - drawHeight;
+
+        // Rectangle of an item in points, from the bottom-left corner of the page
+        const pointsPerPixel = drawWidth / pixelWidth;
+        const toPoints = item => ({
+            x: box.x + item.x * pointsPerPixel,
+            y: this.pageHeight - box.y - (item.y + item.height) * pointsPerPixel,
+            width: item.width * pointsPerPixel,
+            height: item.height * pointsPerPixel
+        });
+
+        const imageId = this.addStream(
+            `/Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+            '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode',
+            jpegBytes
+        );
+
+        let content = `q ${this.formatNumber(drawWidth)} 0 0 ${this.formatNumber(drawHeight)} ` +
+            `${this.formatNumber(box.x)} ${this.formatNumber(drawY)} cm /Im0 Do Q`;
+        let fonts = '';
+
+        const text = (layer.text || []).filter(item => item.text && item.width > 0 && item.height > 0);
+        if (text.length > 0) {
+            content += `\n${this.createTextLayer(text.map(item => ({ ...toPoints(item), text: item.text })))}`;
+            fonts = ` /Font << /F0 ${this.getFontId()} 0 R >>`;
+        }
+
+        const contentId = this.addStream('', this.encoder.encode(content));
+
+        const annotationIds = (layer.links || [])
+            .filter(link => link.width > 0 && link.height > 0)
+            .map(link => this.addLinkAnnotation(toPoints(link), link.url))
+            .filter(Boolean);
+        const annotations = annotationIds.length > 0
+            ? ` /Annots [${annotationIds.map(id => `${id} 0 R`).join(' ')}]`
+            : '';
+
+        const pageId = this.addObject(
+            `<< /Type /Page /Parent ${this.pagesId} 0 R ` +
+            `/MediaBox [0 0 ${this.formatNumber(this.pageWidth)} ${this.formatNumber(this.pageHeight)}] ` +
+            `/Resources << /XObject << /Im0 ${imageId} 0 R >>${fonts} >> /Contents ${contentId} 0 R${annotations} >>`
+        );
+
+        this.pageIds.push(pageId);
+        return pageId;
+    }
+
+    // Invisible text (render mode 3) over each item's rectangle. Every character is one
+    // em wide in the text font, so horizontal scaling stretches a line to its width.
+    createTextLayer(items) {
+        const operators = items.map(item => {
+            const characters = Array.from(item.text);
+            const fontSize = item.height;
+            const scaling = 100 * item.width / (characters.length * fontSize);
+            const codes = characters.map(character => this.getCharacterId(character).toString(16).padStart(4, '0')).join('');
+
+            // The baseline sits a little above the bottom of the line box
+            return `/F0 ${this.formatNumber(fontSize)} Tf ${this.formatNumber(scaling)} Tz ` +
+                `1 0 0 1 ${this.formatNumber(item.x)} ${this.formatNumber(item.y + fontSize * 0.2)} Tm <${codes}> Tj`;
+        });
+
+        return `BT 3 Tr\n${operators.join('\n')}\nET`;
+    }
+
+    getCharacterId(character) {
+        if (!this.characterIds.has(character)) {
+            this.characterIds.set(character, this.characterIds.size + 1);
+        }
+        return this.characterIds.get(character);
+    }
+
+    // The text font is written last, when every character it maps is known
+    getFontId() {
+        if (!this.fontId) {
+            this.fontId = this.reserveObject();
+        }
+        return this.fontId;
+    }
+
+    // A clickable area opening `url`. URLs are ASCII once percent-encoded; others are skipped.
+    addLinkAnnotation(rect, url) {
+        if (!url || !/^[\x20-\x7e]+$/.test(url)) {
+            return null;
+        }
+
+        const escaped = url.replace(/[\\()]/g, '\\$&');
+        const bounds = [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height].map(value => this.formatNumber(value)).join(' ');
+
+        return this.addObject(
+            `<< /Type /Annot /Subtype /Link /Rect [${bounds}] /Border [0 0 0] ` +
+            `/A << /Type /Action /S /URI /URI (${escaped}) >> >>`
+        );
+    }
+
+    // A Type0 font with Identity-H encoding, so character numbers are used as glyph IDs,
+    // and a ToUnicode map that lets viewers search and copy the text. The font is not
+    // embedded; its glyphs are never drawn.
+    writeFont() {
+        const toUnicodeId = this.addStream('', this.encoder.encode(this.createToUnicodeMap()));
+        const descriptorId = this.addObject(
+            '<< /Type /FontDescriptor /FontName /Helvetica /Flags 32 /FontBBox [0 0 1000 1000] ' +
+            '/ItalicAngle 0 /Ascent 800 /Descent -200 /CapHeight 700 /StemV 80 >>'
+        );
+        const cidFontId = this.addObject(
+            '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /Helvetica ' +
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+            `/FontDescriptor ${descriptorId} 0 R /DW 1000 /CIDToGIDMap /Identity >>`
+        );
+
+        this.setObject(
+            this.fontId,
+            `<< /Type /Font /Subtype /Type0 /BaseFont /Helvetica /Encoding /Identity-H ` +
+            `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+        );
+    }
+
+    createToUnicodeMap() {
+        const entries = Array.from(this.characterIds, ([character, id]) => {
+            const unicode = Array.from({ length: character.length }, (value, index) =>
+                character.charCodeAt(index).toString(16).padStart(4, '0')
+            ).join('');
+            return `<${id.toString(16).padStart(4, '0')}> <${unicode}>`;
+        });
+
+        const blocks = [];
+        for (let i = 0; i < entries.length; i += PDF_CMAP_BLOCK_SIZE) {
+            const block = entries.slice(i, i + PDF_CMAP_BLOCK_SIZE);
+            blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+        }
+
+        return [
+            '/CIDInit /ProcSet findresource begin',
+            '12 dict begin',
+            'begincmap',
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+            '/CMapName /Adobe-Identity-UCS def',
+            '/CMapType 2 def',
+            '1 begincodespacerange',
+            '<0000> <FFFF>',
+            'endcodespacerange',
+            ...blocks,
+            'endcmap',
+            'CMapName currentdict /CMap defineresource pop',
+            'end',
+            'end'
+        ].join('\n');
+    }
+
+    // Serialize the document to PDF bytes
+    output() {
+        if (this.pageIds.length === 0) {
+            throw new Error('Cannot write a PDF without pages');
+        }
+
+        if (this.fontId) {
+            this.writeFont();
+        }
+
+        const kids = this.pageIds.map(id => `${id} 0 R`).join(' ');
+        this.setObject(this.pagesId, `<< /Type /Pages /Kids [${kids}] /Count ${this.pageIds.length} >>`);
+        this.setObject(this.catalogId, `<< /Type /Catalog /Pages ${this.pagesId} 0 R >>`);
+
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const push = (chunk) => {
+            const bytes = typeof chunk === 'string' ? this.encoder.encode(chunk) : chunk;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        // Binary comment marks the file as containing 8-bit data
+        push('%PDF-1.4\n');
+        push(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+        this.objects.forEach((parts, index) => {
+            offsets.push(length);
+            push(`${index + 1} 0 obj\n`);
+            parts.forEach(push);
+            push('\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        push(`xref\n0 ${this.objects.length + 1}\n`);
+        push('0000000000 65535 f \n');
+        offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        push(`trailer\n<< /Size ${this.objects.length + 1} /Root ${this.catalogId} 0 R >>\n`);
+        push(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+        const result = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, position);
+            position += chunk.length;
+        });
+
+        return result;
+    }
+
+    reserveObject() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    setObject(id, ...parts) {
+        this.objects[id - 1] = parts;
+    }
+
+    addObject(...parts) {
+        const id = this.reserveObject();
+        this.setObject(id, ...parts);
+        return id;
+    }
+
+    addStream(dictionary, bytes) {
+        const entries = dictionary ? `${dictionary} ` : '';
+        return this.addObject(`<< ${entries}/Length ${bytes.length} >>\nstream\n`, bytes, '\nendstream');
+    }
+
+    formatNumber(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+}
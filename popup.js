@@ -1,9 +1,36 @@
+function formatBytes(bytes) {
+    if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${Math.round(bytes)} B`;
+}
+
 document.addEventListener('DOMContentLoaded', function() {
     const captureBtn = document.getElementById('captureBtn');
     const captureVisibleBtn = document.getElementById('captureVisibleBtn');
+    const captureRegionBtn = document.getElementById('captureRegionBtn');
+    const captureDevicesBtn = document.getElementById('captureDevicesBtn');
     const status = document.getElementById('status');
     const progress = document.getElementById('progress');
     const progressBar = document.getElementById('progressBar');
+    const presetSelect = document.getElementById('preset');
+    const presetName = document.getElementById('presetName');
+    const deletePresetBtn = document.getElementById('deletePresetBtn');
+    const cancelCaptureBtn = document.getElementById('cancelCaptureBtn');
+    const resumeCaptureBtn = document.getElementById('resumeCaptureBtn');
+
+    // Current or last capture job, sent by the background script
+    let captureJob = null;
+    // Set while this popup waits for the result of a capture it started, which
+    // showCaptureResult reports once a clipboard copy has actually been made
+    let awaitingResult = false;
+
+    let estimateSample = null;
+    let estimateRequest = 0;
+
+    // Settled by the first job state from the background script, so the popup knows
+    // whether a capture is using the tab before sampling it
+    let resolveJobState;
+    const jobStateKnown = new Promise(resolve => { resolveJobState = resolve; });
 
     function showStatus(message, type = 'info') {
         status.textContent = message;
@@ -31,33 +58,145 @@ document.addEventListener('DOMContentLoaded', function() {
     function disableButtons() {
         captureBtn.disabled = true;
         captureVisibleBtn.disabled = true;
+        captureRegionBtn.disabled = true;
+        captureDevicesBtn.disabled = true;
     }
 
     function enableButtons() {
         captureBtn.disabled = false;
         captureVisibleBtn.disabled = false;
+        captureRegionBtn.disabled = false;
+        captureDevicesBtn.disabled = false;
     }
 
     function getOptions() {
-        const format = document.getElementById('format').value;
-        const options = {
+        return {
             quality: parseFloat(document.getElementById('quality').value),
-            format: format,
+            format: document.getElementById('format').value,
             hideScrollbar: document.getElementById('hideScrollbar').checked,
             waitForImages: document.getElementById('waitForImages').checked,
-            captureSpeed: document.getElementById('captureSpeed').value
+            preScroll: document.getElementById('preScroll').checked,
+            maxCaptureHeight: parseInt(document.getElementById('maxCaptureHeight').value, 10) || 0,
+            segmentOverlap: parseInt(document.getElementById('segmentOverlap').value, 10) || 0,
+            dedupeFixedElements: document.getElementById('dedupeFixedElements').checked,
+            captureFrames: document.getElementById('captureFrames').checked,
+            scrollTarget: document.getElementById('scrollTarget').value,
+            captureSpeed: document.getElementById('captureSpeed').value,
+            engine: document.getElementById('engine').value,
+            tileOutput: document.getElementById('tileOutput').value,
+            openEditor: document.getElementById('openEditor').checked,
+            outputTarget: document.getElementById('outputTarget').value,
+            filenameTemplate: document.getElementById('filenameTemplate').value.trim() || DEFAULT_FILENAME_TEMPLATE,
+            saveAs: document.getElementById('saveAs').checked,
+            redactPii: document.getElementById('redactPii').checked,
+            redactionStyle: document.getElementById('redactionStyle').value,
+            redactionRules: document.getElementById('redactionRules').value,
+            emulatedDevices: Array.from(document.querySelectorAll('[data-device]:checked')).map(input => input.dataset.device),
+            // PDF options are kept even for other formats so presets remember them
+            pdfPageSize: document.getElementById('pdfPageSize').value,
+            pdfOrientation: document.getElementById('pdfOrientation').value,
+            pdfTextLayer: document.getElementById('pdfTextLayer').checked
         };
+    }
 
-        // Add PDF-specific options if PDF is selected
-        if (format === 'pdf') {
-            options.pdfPageSize = document.getElementById('pdfPageSize').value;
-            options.pdfOrientation = document.getElementById('pdfOrientation').value;
+    // Fill the form from saved options; keys match the element ids
+    function setOptions(options) {
+        Object.keys(DEFAULT_OPTIONS).forEach(key => {
+            const element = document.getElementById(key);
+            if (!element || options[key] === undefined) return;
+
+            if (element.type === 'checkbox') {
+                element.checked = Boolean(options[key]);
+            } else {
+                element.value = String(options[key]);
+            }
+        });
+
+        if (Array.isArray(options.emulatedDevices)) {
+            document.querySelectorAll('[data-device]').forEach(input => {
+                input.checked = options.emulatedDevices.includes(input.dataset.device);
+            });
+        }
+
+        // Presets may name a format this browser cannot encode
+        const format = document.getElementById('format');
+        if (format.selectedOptions[0] && format.selectedOptions[0].disabled) {
+            format.value = 'png';
+        }
+
+        togglePdfOptions();
+        toggleQualityOptions();
+        toggleRedactionOptions();
+        updateFilenamePreview();
+        updateSizeEstimate();
+    }
+
+    function persistOptions() {
+        settingsStore.saveOptions(getOptions()).catch(error => {
+            console.warn('Failed to save options:', error);
+        });
+    }
+
+    async function loadPresets(selectedId) {
+        const presets = await settingsStore.getPresets();
+
+        presetSelect.innerHTML = '';
+        presetSelect.appendChild(new Option('Custom settings', ''));
+        presets.forEach(preset => presetSelect.appendChild(new Option(preset.name, preset.id)));
+
+        presetSelect.value = presets.some(preset => preset.id === selectedId) ? selectedId : '';
+        presetName.value = presetSelect.value ? presetSelect.selectedOptions[0].textContent : '';
+        deletePresetBtn.disabled = !presetSelect.value;
+        updateFilenamePreview();
+    }
+
+    async function selectPreset() {
+        const presetId = presetSelect.value;
+        deletePresetBtn.disabled = !presetId;
+        await settingsStore.setActivePresetId(presetId);
+        updateFilenamePreview();
+
+        if (!presetId) {
+            presetName.value = '';
+            return;
+        }
+
+        // Applying a preset also makes it the options used by shortcuts
+        const options = await settingsStore.getPresetOptions(presetId);
+        presetName.value = presetSelect.selectedOptions[0].textContent;
+        setOptions(options);
+        persistOptions();
+    }
+
+    async function savePreset(asNew) {
+        try {
+            const presetId = asNew ? null : presetSelect.value || null;
+            const preset = await settingsStore.savePreset(presetName.value, getOptions(), presetId);
+
+            await settingsStore.setActivePresetId(preset.id);
+            await loadPresets(preset.id);
+            showStatus(`Preset "${preset.name}" saved`, 'success');
+        } catch (error) {
+            showStatus(`Error: ${error.message}`, 'error');
         }
+    }
+
+    async function deletePreset() {
+        const presetId = presetSelect.value;
+        if (!presetId) return;
 
-        return options;
+        const name = presetSelect.selectedOptions[0].textContent;
+        await settingsStore.deletePreset(presetId);
+        await loadPresets('');
+        showStatus(`Preset "${name}" deleted`, 'info');
     }
 
     async function captureScreenshot(fullPage = true) {
+        // The scrollable area is chosen in the page first, like a region
+        if (fullPage && document.getElementById('scrollTarget').value === 'pick') {
+            return startRegionCapture('container');
+        }
+
         try {
             disableButtons();
             hideStatus();
@@ -79,27 +218,184 @@ document.addEventListener('DOMContentLoaded', function() {
             updateProgress(20);
 
             // Send message to background script to start capture
+            // The popup has focus, so it writes clipboard captures itself
+            awaitingResult = true;
             const response = await chrome.runtime.sendMessage({
                 action: 'captureScreenshot',
                 tabId: tab.id,
-                options: options,
+                options: { ...options, copyInPopup: true },
                 fullPage: fullPage
             });
 
-            if (response.success) {
-                showStatus('Screenshot captured successfully!', 'success');
-                updateProgress(100);
-                
-                setTimeout(() => {
-                    hideStatus();
-                    hideProgress();
-                }, 2000);
-            } else {
-                throw new Error(response.error || 'Failed to capture screenshot');
+            await showCaptureResult(response, options);
+        } catch (error) {
+            console.error('Screenshot error:', error);
+            showStatus(`Error: ${error.message}`, 'error');
+            hideProgress();
+        } finally {
+            awaitingResult = false;
+            enableButtons();
+        }
+    }
+
+    async function showCaptureResult(response, options) {
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'Failed to capture screenshot');
+        }
+
+        const redacted = response.redactedCount
+            ? ` ${response.redactedCount} sensitive region${response.redactedCount === 1 ? '' : 's'} redacted.`
+            : '';
+        let message = response.editor ? 'Screenshot opened in the editor.' : 'Screenshot captured successfully!';
+        if (response.clipboard) {
+            message = await copyToClipboard(response.url, options);
+        }
+        // A page cut off by the height limit, or rows repeated across a seam, are worth
+        // a closer look before sharing the capture
+        const warning = response.warning ? ` Warning: ${response.warning}.` : '';
+        showStatus(message + redacted + warning, warning ? 'info' : 'success');
+        updateProgress(100);
+
+        setTimeout(() => {
+            hideStatus();
+            hideProgress();
+        }, warning ? 8000 : 2000);
+    }
+
+    // Continue the last failed capture from the segments it kept
+    async function resumeCapture() {
+        try {
+            disableButtons();
+            showProgress();
+            resumeCaptureBtn.style.display = 'none';
+
+            const options = captureJob.options;
+            awaitingResult = true;
+            const response = await chrome.runtime.sendMessage({
+                action: 'resumeCapture',
+                jobId: captureJob.id,
+                options: { copyInPopup: true }
+            });
+
+            await showCaptureResult(response, options);
+        } catch (error) {
+            console.error('Resume error:', error);
+            showStatus(`Error: ${error.message}`, 'error');
+            hideProgress();
+        } finally {
+            awaitingResult = false;
+            enableButtons();
+        }
+    }
+
+    async function cancelCapture() {
+        cancelCaptureBtn.disabled = true;
+
+        const response = await chrome.runtime.sendMessage({ action: 'cancelCapture', jobId: captureJob && captureJob.id });
+        if (!response || !response.success) {
+            showStatus(`Error: ${(response && response.error) || 'Failed to cancel the capture'}`, 'error');
+        }
+    }
+
+    // Show a capture that is running or failed, also one started before the popup opened
+    function showCaptureJob(job) {
+        const wasRunning = Boolean(captureJob && captureJob.state === 'running');
+        const running = Boolean(job && job.state === 'running');
+        captureJob = job;
+
+        cancelCaptureBtn.style.display = running ? 'block' : 'none';
+        cancelCaptureBtn.disabled = Boolean(running && job.cancelRequested);
+        resumeCaptureBtn.style.display = job && job.state === 'failed' && job.resumable ? 'block' : 'none';
+
+        if (running) {
+            disableButtons();
+            showProgress();
+            updateProgress(job.progress || 0);
+            showStatus(job.message, 'info');
+            return;
+        }
+
+        if (wasRunning) {
+            enableButtons();
+        }
+
+        if (job && job.state === 'failed' && job.resumable) {
+            showStatus(`Capture failed: ${job.error}. ${job.segments.length} segment(s) were kept.`, 'error');
+            hideProgress();
+        } else if (wasRunning && job.state === 'failed') {
+            showStatus(`Error: ${job.error}`, 'error');
+            hideProgress();
+        } else if (wasRunning && job.state === 'cancelled') {
+            showStatus('Capture cancelled', 'info');
+            hideProgress();
+        } else if (wasRunning && job.state === 'done' && !awaitingResult) {
+            showStatus(job.clipboard ? 'Copied to the clipboard.' : `Saved ${job.filename}`, 'success');
+            updateProgress(100);
+        }
+    }
+
+    // Write a captured PNG to the clipboard, downloading it when the clipboard refuses it
+    async function copyToClipboard(url, options) {
+        if (!url) {
+            return 'Copied to the clipboard.';
+        }
+
+        const blob = await (await fetch(url)).blob();
+
+        try {
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+            return 'Copied to the clipboard.';
+        } catch (error) {
+            console.warn('Clipboard write failed:', error);
+
+            // The capture is already in the history from the copy
+            const response = await chrome.runtime.sendMessage({
+                action: 'exportImage',
+                url: url,
+                options: { ...options, format: 'png', skipHistory: true }
+            });
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Failed to copy or save the screenshot');
+            }
+
+            return `Could not copy to the clipboard (${error.message}), saved ${response.filename} instead.`;
+        }
+    }
+
+    // Capture the full page once per selected device width
+    async function captureDevices() {
+        try {
+            disableButtons();
+            hideStatus();
+            showProgress();
+
+            const options = getOptions();
+            if (options.emulatedDevices.length === 0) {
+                throw new Error('Select at least one device width');
+            }
+
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab) {
+                throw new Error('No active tab found');
+            }
+
+            showStatus('Attaching to the page for device emulation...', 'info');
+            updateProgress(10);
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'captureDevices',
+                tabId: tab.id,
+                options: options
+            });
+
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Failed to capture device widths');
             }
 
+            showStatus(`Saved ${response.files.length} file${response.files.length === 1 ? '' : 's'}`, 'success');
+            updateProgress(100);
         } catch (error) {
-            console.error('Screenshot error:', error);
+            console.error('Device capture error:', error);
             showStatus(`Error: ${error.message}`, 'error');
             hideProgress();
         } finally {
@@ -107,38 +403,238 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // Start the element/region picker in the page. The popup closes so the user can
+    // interact with the page; the background captures once a selection is made.
+    // In 'container' mode the pick chooses the scrollable area for a full-page capture.
+    async function startRegionCapture(pickMode = 'region') {
+        try {
+            disableButtons();
+
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            
+            if (!tab) {
+                throw new Error('No active tab found');
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'startRegionPicker',
+                tabId: tab.id,
+                options: { ...getOptions(), pickMode }
+            });
+
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Failed to start region selection');
+            }
+
+            window.close();
+        } catch (error) {
+            console.error('Region picker error:', error);
+            showStatus(`Error: ${error.message}`, 'error');
+            enableButtons();
+        }
+    }
+
     // Function to toggle PDF options visibility
     function togglePdfOptions() {
         const format = document.getElementById('format').value;
         const pdfOptions = document.getElementById('pdfOptions');
-        const pdfOrientation = document.getElementById('pdfOrientation');
+        const pdfOrientation = document.getElementById('pdfOrientationOptions');
+        const pdfTextLayer = document.getElementById('pdfTextLayerOptions');
+        const tileOptions = document.getElementById('tileOptions');
         
         if (format === 'pdf') {
             pdfOptions.style.display = 'block';
             pdfOrientation.style.display = 'block';
+            pdfTextLayer.style.display = 'flex';
+            tileOptions.style.display = 'none';
         } else {
             pdfOptions.style.display = 'none';
             pdfOrientation.style.display = 'none';
+            pdfTextLayer.style.display = 'none';
+            tileOptions.style.display = 'block';
         }
     }
 
+    function toggleQualityOptions() {
+        const format = document.getElementById('format').value;
+        const quality = parseFloat(document.getElementById('quality').value);
+
+        document.getElementById('qualityOptions').style.display = LOSSY_FORMATS.includes(format) ? 'block' : 'none';
+        document.getElementById('qualityValue').textContent = `${Math.round(quality * 100)}%`;
+    }
+
+    // Visible area and page size of the current tab, read once per popup for size estimates.
+    // Taken when the popup opens, or later on a format or quality change if a capture was
+    // running then, since it captures the tab.
+    function getEstimateSample() {
+        if (!estimateSample) {
+            estimateSample = (async () => {
+                const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+                const [{ result: page }] = await chrome.scripting.executeScript({
+                    target: { tabId: tab.id },
+                    func: () => ({
+                        width: document.documentElement.scrollWidth,
+                        height: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0),
+                        viewportWidth: window.innerWidth,
+                        viewportHeight: window.innerHeight
+                    })
+                });
+                const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+                const bitmap = await createImageBitmap(await (await fetch(screenshot)).blob());
+
+                return { page, bitmap };
+            })();
+        }
+
+        return estimateSample;
+    }
+
+    // Encode the visible area with the chosen format and quality and scale the size up
+    // to the whole page. Only a guess: the rest of the page may compress differently.
+    // Without `takeSample`, an estimate is only updated once a sample exists.
+    async function updateSizeEstimate(takeSample = false) {
+        const sizeEstimate = document.getElementById('sizeEstimate');
+        const request = ++estimateRequest;
+        const options = getOptions();
+
+        // A running capture is using the tab and the capture rate limit
+        if (!estimateSample && (!takeSample || (captureJob && captureJob.state === 'running'))) {
+            return;
+        }
+
+        try {
+            const { page, bitmap } = await getEstimateSample();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            canvas.getContext('2d').drawImage(bitmap, 0, 0);
+
+            // PDF pages are JPEG images; unsupported formats are saved as PNG
+            const format = options.format === 'pdf' ? 'jpg' : options.format;
+            const type = canEncodeImageFormat(format) ? getImageMimeType(format) : 'image/png';
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, type, options.quality));
+
+            const pageHeight = options.maxCaptureHeight > 0 ? Math.min(page.height, options.maxCaptureHeight) : page.height;
+            const pageRatio = Math.max(1, (page.width * pageHeight) / (page.viewportWidth * page.viewportHeight));
+
+            if (request === estimateRequest && blob) {
+                sizeEstimate.textContent = `Estimated size: ~${formatBytes(blob.size * pageRatio)} for the full page`;
+            }
+        } catch (error) {
+            // Chrome pages and the Web Store cannot be captured
+            sizeEstimate.textContent = '';
+        }
+    }
+
+    // Example file name for the current tab; the size is the visible area until captured
+    async function updateFilenamePreview() {
+        const preview = document.getElementById('filenamePreview');
+
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const format = document.getElementById('format').value;
+            const target = filenameTemplate.render(document.getElementById('filenameTemplate').value.trim(), {
+                title: tab && tab.title,
+                url: tab && tab.url,
+                width: tab && tab.width ? Math.round(tab.width * window.devicePixelRatio) : '',
+                height: tab && tab.height ? Math.round(tab.height * window.devicePixelRatio) : '',
+                preset: presetSelect.value ? presetSelect.selectedOptions[0].textContent : ''
+            });
+
+            preview.textContent = `Example: ${target.folder ? `${target.folder}/` : ''}${target.name}.${format}`;
+        } catch (error) {
+            preview.textContent = '';
+        }
+    }
+
+    function toggleRedactionOptions() {
+        const redactPii = document.getElementById('redactPii').checked;
+        document.getElementById('redactionOptions').style.display = redactPii ? 'block' : 'none';
+    }
+
     // Event listeners
     captureBtn.addEventListener('click', () => captureScreenshot(true));
     captureVisibleBtn.addEventListener('click', () => captureScreenshot(false));
+    captureRegionBtn.addEventListener('click', () => startRegionCapture('region'));
+    captureDevicesBtn.addEventListener('click', captureDevices);
+
+    document.getElementById('openBatchBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('batch.html') });
+        window.close();
+    });
+
+    document.getElementById('openSchedulerBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('scheduler.html') });
+        window.close();
+    });
+
+    document.getElementById('openCompareBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('compare.html') });
+        window.close();
+    });
+
+    document.getElementById('openHistoryBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+        window.close();
+    });
     
     // Add event listener for format change
     document.getElementById('format').addEventListener('change', togglePdfOptions);
+    document.getElementById('redactPii').addEventListener('change', toggleRedactionOptions);
+    document.getElementById('format').addEventListener('change', updateFilenamePreview);
+    document.getElementById('format').addEventListener('change', toggleQualityOptions);
+    document.getElementById('format').addEventListener('change', () => updateSizeEstimate(true));
+    document.getElementById('quality').addEventListener('input', toggleQualityOptions);
+    document.getElementById('quality').addEventListener('change', () => updateSizeEstimate(true));
+    document.getElementById('maxCaptureHeight').addEventListener('change', () => updateSizeEstimate());
+    document.getElementById('filenameTemplate').addEventListener('input', updateFilenamePreview);
 
-    // Listen for progress updates from background script
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Save every option change so it survives closing the popup
+    Object.keys(DEFAULT_OPTIONS).forEach(key => {
+        const element = document.getElementById(key);
+        if (element) {
+            element.addEventListener('change', persistOptions);
+        }
+    });
+    document.querySelectorAll('[data-device]').forEach(input => input.addEventListener('change', persistOptions));
+
+    presetSelect.addEventListener('change', selectPreset);
+    document.getElementById('savePresetBtn').addEventListener('click', () => savePreset(false));
+    document.getElementById('saveNewPresetBtn').addEventListener('click', () => savePreset(true));
+    deletePresetBtn.addEventListener('click', deletePreset);
+
+    cancelCaptureBtn.addEventListener('click', cancelCapture);
+    resumeCaptureBtn.addEventListener('click', resumeCapture);
+
+    // Follow progress from the background script; the capture keeps running when the popup closes
+    const progressPort = chrome.runtime.connect({ name: CAPTURE_PROGRESS_PORT });
+    progressPort.onMessage.addListener(message => {
         if (message.action === 'updateProgress') {
             updateProgress(message.progress);
         } else if (message.action === 'updateStatus') {
             showStatus(message.message, message.type);
+        } else if (message.action === 'jobState') {
+            showCaptureJob(message.job);
+            resolveJobState();
         }
     });
 
     // Initialize
+    disableUnsupportedFormats(document.getElementById('format'));
+    Promise.all([settingsStore.getOptions(), settingsStore.getActivePresetId()])
+        .then(([options, activePresetId]) => {
+            setOptions(options);
+            return loadPresets(activePresetId);
+        })
+        .catch(error => console.warn('Failed to load saved settings:', error))
+        // First estimate for the saved format, unless a capture is running
+        .then(() => jobStateKnown)
+        .then(() => updateSizeEstimate(true));
+
     showStatus('Ready to capture screenshots', 'info');
-    setTimeout(hideStatus, 2000);
+    setTimeout(() => {
+        // Keep the state of a running or failed capture on screen
+        if (status.textContent === 'Ready to capture screenshots') hideStatus();
+    }, 2000);
 });
@@ -0,0 +1,118 @@
+// Scheduled capture jobs, persisted in chrome.storage.local.
+// Shared by the scheduler page and the background script, which runs them with chrome.alarms.
+
+// Alarm names are this prefix plus the job ID
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+// One-off alarms that run a job again after it found another capture in progress
+const SCHEDULE_RETRY_ALARM_PREFIX = 'schedule-retry:';
+
+// Fields that change when a job runs rather than when it is edited
+const SCHEDULE_RUN_FIELDS = ['lastRun'];
+
+class ScheduleStore {
+    async getJobs() {
+        const { scheduledJobs } = await chrome.storage.local.get('scheduledJobs');
+        return Array.isArray(scheduledJobs) ? scheduledJobs : [];
+    }
+
+    async getJob(jobId) {
+        const jobs = await this.getJobs();
+        return jobs.find(job => job.id === jobId) || null;
+    }
+
+    // Create a job, or update it when `job.id` names an existing one
+    async saveJob(job) {
+        let url;
+        try {
+            url = new URL(job.url);
+        } catch (error) {
+            throw new Error('Enter a valid URL');
+        }
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('Only http and https pages can be scheduled');
+        }
+
+        const intervalMinutes = parseInt(job.intervalMinutes, 10);
+        if (!(intervalMinutes >= 1)) {
+            throw new Error('Interval must be at least one minute');
+        }
+
+        if (job.startTime && !/^\d{2}:\d{2}$/.test(job.startTime)) {
+            throw new Error('Start time must look like 08:30');
+        }
+
+        const jobs = await this.getJobs();
+        const existing = job.id ? jobs.find(other => other.id === job.id) : null;
+        const saved = {
+            ...(existing || { id: `job-${Date.now()}`, createdAt: Date.now(), lastRun: null }),
+            name: (job.name || '').trim() || url.hostname,
+            url: url.href,
+            presetId: job.presetId || '',
+            intervalMinutes: intervalMinutes,
+            startTime: job.startTime || '',
+            enabled: job.enabled !== false
+        };
+
+        if (existing) {
+            jobs[jobs.indexOf(existing)] = saved;
+        } else {
+            jobs.push(saved);
+        }
+
+        await chrome.storage.local.set({ scheduledJobs: jobs });
+        return saved;
+    }
+
+    async updateJob(jobId, changes) {
+        const jobs = await this.getJobs();
+        const job = jobs.find(other => other.id === jobId);
+        if (!job) {
+            throw new Error('Scheduled job not found');
+        }
+
+        Object.assign(job, changes);
+        await chrome.storage.local.set({ scheduledJobs: jobs });
+        return job;
+    }
+
+    async deleteJob(jobId) {
+        const jobs = await this.getJobs();
+        await chrome.storage.local.set({ scheduledJobs: jobs.filter(job => job.id !== jobId) });
+    }
+
+    getAlarmName(job) {
+        return `${SCHEDULE_ALARM_PREFIX}${job.id}`;
+    }
+
+    getRetryAlarmName(job) {
+        return `${SCHEDULE_RETRY_ALARM_PREFIX}${job.id}`;
+    }
+
+    // First run: the next occurrence of the start time, or one interval from now
+    getFirstRunTime(job, now = Date.now()) {
+        if (!job.startTime) {
+            return now + job.intervalMinutes * 60000;
+        }
+
+        const [hours, minutes] = job.startTime.split(':').map(Number);
+        const next = new Date(now);
+        next.setHours(hours, minutes, 0, 0);
+        if (next.getTime() <= now) {
+            next.setDate(next.getDate() + 1);
+        }
+        return next.getTime();
+    }
+
+    // Whether an edit changed anything that affects the job's alarm
+    hasScheduleChanged(before, after) {
+        const strip = job => {
+            const copy = { ...job };
+            SCHEDULE_RUN_FIELDS.forEach(field => delete copy[field]);
+            return JSON.stringify(copy);
+        };
+        return !before || !after || strip(before) !== strip(after);
+    }
+}
+
+const scheduleStore = new ScheduleStore();
@@ -0,0 +1,190 @@
+// Scheduler page. Jobs are edited here and stored with scheduleStore; the background
+// script keeps a chrome.alarms alarm per enabled job and runs the captures.
+
+const INTERVAL_LABELS = {
+    15: '15 minutes',
+    60: 'Hour',
+    360: '6 hours',
+    720: '12 hours',
+    1440: 'Day',
+    10080: 'Week'
+};
+
+function formatInterval(minutes) {
+    return INTERVAL_LABELS[minutes] || `${minutes} minutes`;
+}
+
+function formatTime(time) {
+    return time ? new Date(time).toLocaleString() : '—';
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const status = document.getElementById('status');
+    const jobId = document.getElementById('jobId');
+    const jobUrl = document.getElementById('jobUrl');
+    const jobName = document.getElementById('jobName');
+    const jobPreset = document.getElementById('jobPreset');
+    const jobInterval = document.getElementById('jobInterval');
+    const jobStartTime = document.getElementById('jobStartTime');
+    const saveJobBtn = document.getElementById('saveJobBtn');
+    const jobsTable = document.getElementById('jobs');
+    const jobsBody = document.getElementById('jobsBody');
+
+    let presets = [];
+
+    function showStatus(message, type = 'info') {
+        status.textContent = message;
+        status.className = `status ${type}`;
+    }
+
+    function resetForm() {
+        jobId.value = '';
+        jobUrl.value = '';
+        jobName.value = '';
+        jobPreset.value = '';
+        jobInterval.value = '1440';
+        jobStartTime.value = '';
+        saveJobBtn.textContent = 'Add Job';
+    }
+
+    function editJob(job) {
+        jobId.value = job.id;
+        jobUrl.value = job.url;
+        jobName.value = job.name;
+        jobPreset.value = job.presetId;
+        jobStartTime.value = job.startTime;
+
+        // Keep intervals that are not in the list selectable while editing
+        if (!jobInterval.querySelector(`option[value="${job.intervalMinutes}"]`)) {
+            jobInterval.appendChild(new Option(formatInterval(job.intervalMinutes), job.intervalMinutes));
+        }
+        jobInterval.value = String(job.intervalMinutes);
+
+        saveJobBtn.textContent = 'Save Job';
+        window.scrollTo(0, 0);
+    }
+
+    function createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'button secondary small';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async function renderJobs() {
+        const jobs = await scheduleStore.getJobs();
+        jobsTable.style.display = jobs.length > 0 ? 'table' : 'none';
+        jobsBody.innerHTML = '';
+
+        for (const job of jobs) {
+            const alarm = job.enabled ? await chrome.alarms.get(scheduleStore.getAlarmName(job)) : null;
+            const preset = presets.find(other => other.id === job.presetId);
+            const row = document.createElement('tr');
+
+            const jobCell = document.createElement('td');
+            jobCell.className = 'page';
+            jobCell.textContent = job.name;
+            const details = document.createElement('div');
+            details.className = 'muted';
+            const settingsName = preset ? preset.name : (job.presetId ? 'Missing preset, current popup settings' : 'Current popup settings');
+            details.textContent = `${job.url} · ${settingsName}`;
+            jobCell.appendChild(details);
+
+            const intervalCell = document.createElement('td');
+            intervalCell.textContent = formatInterval(job.intervalMinutes);
+
+            const nextCell = document.createElement('td');
+            nextCell.textContent = job.enabled ? formatTime(alarm && alarm.scheduledTime) : 'Paused';
+
+            const lastCell = document.createElement('td');
+            if (job.lastRun) {
+                lastCell.className = `last-run ${job.lastRun.success ? 'done' : 'failed'}`;
+                lastCell.textContent = `${formatTime(job.lastRun.time)}: ${job.lastRun.success ? job.lastRun.filename : job.lastRun.error}`;
+            } else {
+                lastCell.textContent = 'Never';
+            }
+
+            const actionsCell = document.createElement('td');
+            actionsCell.className = 'actions-cell';
+            actionsCell.append(
+                createButton('Run Now', () => runJob(job)),
+                createButton(job.enabled ? 'Pause' : 'Resume', () => toggleJob(job)),
+                createButton('Edit', () => editJob(job)),
+                createButton('Delete', () => deleteJob(job))
+            );
+
+            row.append(jobCell, intervalCell, nextCell, lastCell, actionsCell);
+            jobsBody.appendChild(row);
+        }
+    }
+
+    async function runJob(job) {
+        try {
+            showStatus(`Capturing ${job.name}...`);
+
+            const response = await chrome.runtime.sendMessage({ action: 'runScheduledJob', jobId: job.id });
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Capture failed');
+            }
+
+            showStatus(`Saved ${response.filename}`);
+        } catch (error) {
+            console.error('Scheduled capture error:', error);
+            showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    async function toggleJob(job) {
+        await scheduleStore.updateJob(job.id, { enabled: !job.enabled });
+    }
+
+    async function deleteJob(job) {
+        if (!confirm(`Delete the scheduled capture "${job.name}"?`)) return;
+
+        await scheduleStore.deleteJob(job.id);
+        if (jobId.value === job.id) {
+            resetForm();
+        }
+        showStatus(`Deleted ${job.name}`);
+    }
+
+    saveJobBtn.addEventListener('click', async () => {
+        try {
+            const existing = jobId.value ? await scheduleStore.getJob(jobId.value) : null;
+            const job = await scheduleStore.saveJob({
+                id: jobId.value || null,
+                url: jobUrl.value.trim(),
+                name: jobName.value,
+                presetId: jobPreset.value,
+                intervalMinutes: jobInterval.value,
+                startTime: jobStartTime.value,
+                enabled: existing ? existing.enabled : true
+            });
+
+            resetForm();
+            showStatus(`Saved ${job.name}`);
+        } catch (error) {
+            showStatus(`Error: ${error.message}`, 'error');
+        }
+    });
+
+    document.getElementById('resetJobBtn').addEventListener('click', resetForm);
+
+    // Alarms are updated by the background script after each change, so re-read
+    // shortly afterwards to show the new next run time
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.scheduledJobs) {
+            setTimeout(() => renderJobs(), 300);
+        }
+    });
+
+    try {
+        presets = await settingsStore.getPresets();
+        presets.forEach(preset => jobPreset.appendChild(new Option(preset.name, preset.id)));
+    } catch (error) {
+        console.warn('Failed to load presets:', error);
+    }
+
+    await renderJobs();
+});
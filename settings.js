@@ -0,0 +1,161 @@
+// Capture options and named presets, persisted in chrome.storage.sync.
+// Shared by the popup and the background script.
+
+// Sync storage limits every item to 8 KB, so each preset has its own key and a
+// small index keeps their order
+const PRESET_INDEX_KEY = 'presetIds';
+const PRESET_KEY_PREFIX = 'preset:';
+
+// Options used until the user changes anything in the popup
+const DEFAULT_OPTIONS = {
+    quality: 0.6,
+    format: 'png',
+    hideScrollbar: true,
+    waitForImages: true,
+    preScroll: true,
+    maxCaptureHeight: 30000,
+    segmentOverlap: 100,
+    dedupeFixedElements: true,
+    captureFrames: false,
+    scrollTarget: 'auto',
+    captureSpeed: 'slow',
+    engine: 'scroll',
+    tileOutput: 'files',
+    openEditor: false,
+    outputTarget: 'download',
+    filenameTemplate: 'screenshot_{date}_{time}',
+    saveAs: true,
+    redactPii: false,
+    redactionStyle: 'blur',
+    redactionRules: '',
+    emulatedDevices: ['mobile', 'tablet', 'desktop'],
+    pdfPageSize: 'a4',
+    pdfOrientation: 'portrait',
+    pdfTextLayer: true
+};
+
+class SettingsStore {
+    // Current popup options, also used by shortcuts and context menus
+    async getOptions() {
+        const { options } = await chrome.storage.sync.get('options');
+        return { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    async saveOptions(options) {
+        await chrome.storage.sync.set({ options: this.pickOptions(options) });
+    }
+
+    async getActivePresetId() {
+        const { activePresetId } = await chrome.storage.sync.get('activePresetId');
+        return activePresetId || '';
+    }
+
+    async setActivePresetId(presetId) {
+        await chrome.storage.sync.set({ activePresetId: presetId || '' });
+    }
+
+    async getPresets() {
+        const ids = await this.getPresetIds();
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const stored = await chrome.storage.sync.get(ids.map(id => PRESET_KEY_PREFIX + id));
+        return ids.map(id => stored[PRESET_KEY_PREFIX + id]).filter(Boolean);
+    }
+
+    async getPreset(presetId) {
+        if (!presetId) {
+            return null;
+        }
+
+        const key = PRESET_KEY_PREFIX + presetId;
+        const stored = await chrome.storage.sync.get(key);
+        return stored[key] || null;
+    }
+
+    // IDs of the saved presets in the order they were created. Presets kept in the
+    // single `presets` key by earlier versions are moved to their own keys first.
+    async getPresetIds() {
+        const { presetIds, presets } = await chrome.storage.sync.get([PRESET_INDEX_KEY, 'presets']);
+
+        if (Array.isArray(presets)) {
+            const ids = presets.map(preset => preset.id);
+            const items = { [PRESET_INDEX_KEY]: ids };
+            presets.forEach(preset => {
+                items[PRESET_KEY_PREFIX + preset.id] = preset;
+            });
+
+            await chrome.storage.sync.set(items);
+            await chrome.storage.sync.remove('presets');
+            return ids;
+        }
+
+        return Array.isArray(presetIds) ? presetIds : [];
+    }
+
+    // Create a preset, or update it when `presetId` names an existing one
+    async savePreset(name, options, presetId = null) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Preset name is required');
+        }
+
+        const presets = await this.getPresets();
+        const duplicate = presets.find(preset => preset.name === trimmedName && preset.id !== presetId);
+        if (duplicate) {
+            throw new Error(`A preset named "${trimmedName}" already exists`);
+        }
+
+        const existing = presetId ? presets.find(preset => preset.id === presetId) : null;
+        const preset = existing || { id: `preset-${Date.now()}` };
+        preset.name = trimmedName;
+        preset.options = this.pickOptions(options);
+
+        const items = { [PRESET_KEY_PREFIX + preset.id]: preset };
+        if (!existing) {
+            items[PRESET_INDEX_KEY] = [...presets.map(other => other.id), preset.id];
+        }
+
+        await chrome.storage.sync.set(items);
+        return preset;
+    }
+
+    async deletePreset(presetId) {
+        const ids = await this.getPresetIds();
+        await chrome.storage.sync.set({ [PRESET_INDEX_KEY]: ids.filter(id => id !== presetId) });
+        await chrome.storage.sync.remove(PRESET_KEY_PREFIX + presetId);
+
+        if (await this.getActivePresetId() === presetId) {
+            await this.setActivePresetId('');
+        }
+    }
+
+    // Whether a chrome.storage.onChanged event touched any preset
+    hasPresetChanges(changes) {
+        return Object.keys(changes).some(key => key === PRESET_INDEX_KEY || key.startsWith(PRESET_KEY_PREFIX));
+    }
+
+    // Options of a preset merged over the defaults, so older presets pick up new options.
+    // `presetName` is a one-off used by the {preset} filename token.
+    async getPresetOptions(presetId) {
+        const preset = await this.getPreset(presetId);
+        if (!preset) {
+            throw new Error('Preset not found');
+        }
+        return { ...DEFAULT_OPTIONS, ...preset.options, presetName: preset.name };
+    }
+
+    // Keep only known option keys so one-off flags never end up in storage
+    pickOptions(options) {
+        const picked = {};
+        Object.keys(DEFAULT_OPTIONS).forEach(key => {
+            if (options && options[key] !== undefined) {
+                picked[key] = options[key];
+            }
+        });
+        return picked;
+    }
+}
+
+const settingsStore = new SettingsStore();
@@ -0,0 +1,111 @@
+// Minimal ZIP writer (store only, no compression) for bundling tiled captures.
+// PNG, JPG and PDF data is already compressed, so storing keeps this small and fast.
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class ZipWriter {
+    constructor() {
+        this.encoder = new TextEncoder();
+        this.entries = [];
+    }
+
+    addFile(name, bytes, date = new Date()) {
+        this.entries.push({
+            name: this.encoder.encode(name),
+            bytes: bytes,
+            crc: this.crc32(bytes),
+            time: this.toDosTime(date),
+            date: this.toDosDate(date)
+        });
+    }
+
+    // Serialize the archive to bytes
+    output() {
+        if (this.entries.length === 0) {
+            throw new Error('Cannot write a ZIP archive without files');
+        }
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, entry.time, true);
+            local.setUint16(12, entry.date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.bytes.length, true);
+            local.setUint32(22, entry.bytes.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, entry.time, true);
+            central.setUint16(14, entry.date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.bytes.length, true);
+            central.setUint32(24, entry.bytes.length, true);
+            central.setUint16(28, entry.name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), entry.name, entry.bytes);
+            centralParts.push(new Uint8Array(central.buffer), entry.name);
+
+            offset += 30 + entry.name.length + entry.bytes.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+
+        return result;
+    }
+
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    toDosTime(date) {
+        return (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    }
+
+    toDosDate(date) {
+        return ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    }
+}